@@ -16,23 +16,204 @@
     // eslint-disable-next-line no-mixed-operators
     var root = (typeof self === 'object' && self.self === self && self) || (typeof global === 'object' && global.global === global && global) || this;
 
+    // supported caching strategies
+    var strategies = ['cache-first', 'network-first', 'cache-only', 'network-only', 'stale-while-revalidate'];
+
+    // response headers that are never written to storage, they're either sensitive or describe the original transfer
+    var neverStoredHeaders = ['set-cookie', 'set-cookie2', 'content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive'];
+
+    // prefix of every key written by offline-fetch, used to tell our entries apart from other app data
+    var keyPrefix = 'offline-fetch-';
+
+    // format of the records written to storage, older records are upgraded by recordMigrations when read
+    var recordSchema = 1;
+
+    // upgrades a record from the schema version (key) to the next, records without a schema were written before it existed
+    var recordMigrations = {
+        0: function (item) {
+            // responses were only stored with their content type
+            item.headers = item.headers || {};
+            if (item.contentType && !item.headers['content-type']) item.headers['content-type'] = item.contentType;
+            return item;
+        }
+    };
+
+    // minimum number of milliseconds between automatic sweeps of old entries
+    var sweepInterval = 60 * 1000;
+
+    // storage objects we have seen, their index is used to key per storage state (sweeps, queue locks etc)
+    var storages = [];
+
+    // time of the last automatic sweep, keyed by storage id
+    var lastSweeps = {};
+
+    // namespace/cacheVersion key prefixes whose old versions have been removed, keyed by storage id + prefix
+    var collectedVersions = {};
+
+    // storage key holding the ordered outbox of queued requests
+    var queueKey = keyPrefix + 'queue';
+
+    // storages that have been used to queue requests (and the fetch to replay them with) keyed by storage name or id,
+    // these are flushed when we come back online
+    var queueStorages = {};
+
+    // per storage promise chain, ensures outbox reads/writes never interleave
+    var queueLocks = {};
+
+    // success/failure callbacks for queued items, keyed by item id (functions can not be persisted)
+    var queueCallbacks = {};
+
+    // node modules (crypto, zlib) loaded when first used
+    var nodeModules = {};
+
+    // minimum content length compressed when compression is enabled without a threshold
+    var compressionThreshold = 1024;
+
+    // network requests in progress keyed by storage id and cache key, shared by identical concurrent requests
+    var inflightRequests = {};
+
+    // connectivity as decided by browser online/offline events, probe requests and consecutive network failures (see monitor)
+    var connectivity = {
+        online: true,
+        failures: 0,
+        options: null,
+        probeTimer: null,
+        recheckTimer: null
+    };
+
+    // lifecycle event listeners added via offlineFetch.on, keyed by event type
+    var listeners = {};
+
+    // caching policies by URL pattern added via offlineFetch.route, in the order they were added
+    var routes = [];
+
+    // counters reported by offlineFetch.stats, in total and by cache key prefix and route (reset by offlineFetch.resetStats)
+    var stats = createStats();
+
+    // storages used by requests keyed by name (or storage id), offlineFetch.stats reports how much each one holds
+    var statsStorages = {};
+
+    // cache hit reasons where the response was read from the cache without waiting for the network
+    var cacheOnlyHitReasons = ['cache-only', 'offline', 'stale', 'fresh'];
+
+    // active HAR recorders (see offlineFetch.har.record), every network response is added to each of them
+    var harRecorders = [];
+
+    // response statuses that can not have a body
+    var nullBodyStatuses = [101, 204, 205, 304];
+
+    // messages fetch implementations reject with when the request could not reach the server (Chrome, Firefox, Safari, polyfill, Node)
+    var networkErrorMessages = [
+        'Promise Timed Out',
+        'Failed to fetch',
+        'Network request failed',
+        'NetworkError when attempting to fetch resource.',
+        'Load failed',
+        'The Internet connection appears to be offline.',
+        'The network connection was lost.',
+        'fetch failed'
+    ];
+
+    // last access time of cached entries (storage id|cache key), kept in memory so a cache hit never rewrites the entry
+    var accessTimes = {};
+
+    // encryption keys and functions seen in store settings, identified by their index as they can not be serialised
+    var settingReferences = [];
+
+    // identifies this tab (or worker) in cross-tab messages and refresh locks
+    var tabId = Date.now().toString(36) + Math.random().toString(36).substr(2, 8);
+
+    // name of the BroadcastChannel used to tell other tabs about cache writes, removals and released locks
+    var channelName = 'offline-fetch';
+
+    // BroadcastChannel opened by the first crossTab request or subscriber, null if not open (or not supported)
+    var channel = null;
+
+    // true once cross-tab coordination has been used, storage events are only listened to from then on
+    var crossTabEnabled = false;
+
+    // prefix of the storage keys holding cross-tab refresh locks, followed by the cache key
+    var lockPrefix = keyPrefix + 'lock|';
+
+    // listeners for changes to a cached response keyed by cache key (see offlineFetch.subscribe)
+    var subscribers = {};
+
+    // the Cache API only stores responses to http(s) requests, so entries are stored under this made up origin + cache key
+    var cacheStorageUrl = 'https://offline-fetch.cache/';
+
+    // storage adapters (get/set/delete/keys) we have seen and the storage objects wrapping them, matched by index
+    var adapters = [];
+    var adapterStorages = [];
+
+    // adapters used when storage is set to the name of a built-in adapter, created when first used
+    var namedAdapters = {};
+
     /**
-     * Adds offline support to fetch - returning previous responses when offline, offline is detected when a request times-out  or navigator.onLine = false
+     * Adds offline support to fetch - returning previous responses when offline, offline is detected when a request times-out, navigator.onLine = false
+     * or the connectivity monitor has decided we're offline (see offlineFetch.monitor)
      * @param {string} url - URL to request
      * @param {object} options - fetch options with additional .offline property
      * @example
      *      var options = {
      *          offline: {
-     *              storage: 'localStorage',    // where should we cache the offline responses
+     *              storage: 'localStorage',    // where should we cache the offline responses (global name, indexedDB, caches or storage object)
+     *              fetch: fetch,               // fetch implementation to use, defaults to the global fetch
      *              timeout: 30 * 1000,         // how long should we wait before considering a connection offline?
      *              expires: 300 * 1000,        // how long should we store content without checking for an update?
      *              debug: true,                // console log all requests and their source (cache etc)
+     *              logger: function(message, event) {}, // send logs and lifecycle events somewhere other than the console
+     *              replay: har,                // answer purely from a HAR recording (object or JSON), rejecting unmatched requests
+     *              crossTab: true,             // tell other tabs about cache writes and let only one tab refresh a response at a time
+     *              maxStale: 86400 * 1000,     // never serve cached responses stored longer ago than this, even offline
+     *              // lifecycle hooks, each called with { type, url, cacheKey, strategy, reason, attempt, duration, ... }
+     *              onCacheHit: function(event) {},     // served from cache (fresh, stale, offline, not-modified, cache-only)
+     *              onCacheMiss: function(event) {},    // going to the network (not-cached, expired, renew, vary-mismatch, network-first)
+     *              onStore: function(event) {},        // response written to storage
+     *              onStoreError: function(event) {},   // response could not be written to storage (event.error)
+     *              onRetry: function(event) {},        // attempt failed and will be retried after event.delay milliseconds
+     *              onTimeout: function(event) {},      // attempt timed out
+     *              onFallback: function(event) {},     // network failed (timeout, failed-to-fetch, network-failed, aborted), cached response returned
      *              renew: false,               // if true, this request is fetched regardless of expire state and added to cache
-     *              // timeouts are not retried as they could cause the browser to hang
-     *              retries: 3,                 // number of times to retry the request before considering it failed
-     *              retryDelay: 1000,           // number of milliseconds to wait between each retry
+     *              waitForStore: false,        // if true, resolve once the response has been written to storage
+     *              fallbackOnAbort: false,     // if true, return the cached response when the request is aborted via options.signal
+     *              coalesce: true,             // share the network request with identical requests in progress, default true for GET
+     *              // response headers written to storage, set-cookie and transfer headers are never stored
+     *              storeHeaders: {
+     *                  allow: ['etag', 'link', 'x-total-count'],   // only store these headers (defaults to all)
+     *                  deny: ['x-request-id']                      // never store these headers
+     *              },
+     *              maxEntries: 100,            // maximum number of cached responses, least recently used are evicted first
+     *              maxBytes: 2 * 1024 * 1024,  // maximum (approximate) size of all cached responses, least recently used are evicted first
+     *              purgeAfter: 7 * 86400000,   // cached responses older than this are periodically deleted
+     *              nativeBinary: false,        // if true, binary responses are stored as ArrayBuffers rather than base64 (storage must support it, e.g. localForage)
+     *              compression: { threshold: 1024 }, // gzip cached content longer than threshold characters (true uses the default 1024)
+     *              encryption: 'secret',       // encrypt cached responses (AES-GCM) with a key (string, 16/24/32 bytes or CryptoKey) or function returning one
+     *              httpCache: true,            // honour Cache-Control/Expires response headers and revalidate with ETag/Last-Modified
+     *              // cache-first (default), network-first, cache-only, network-only or stale-while-revalidate
+     *              strategy: 'stale-while-revalidate',
+     *              onUpdate: function(res, url) {}, // called when a background refresh (stale-while-revalidate) receives new content
+     *              retries: 3,                 // number of times to retry the request before considering it failed, default 0
+     *              retryDelay: 1000,           // number of milliseconds to wait before the first retry
+     *              retryBackoff: 2,            // multiply the delay by this after each retry (exponential backoff), default 1
+     *              retryJitter: 0.5,           // randomly reduce each delay by up to this fraction (0 - 1), default 0
+     *              retryMaxDelay: 30 * 1000,   // maximum delay between retries (including Retry-After)
+     *              retryOn: [408, 429, 502, 503, 504], // response status codes to retry (Retry-After is honoured)
+     *              retryTimeouts: false,       // if true, timed out requests are retried (each attempt has its own timeout)
+     *              retryDeadline: 60 * 1000,   // maximum time to spend on a request including all retries
+     *              // decide whether to retry yourself, response is null if the request failed (throwing rejects the request)
+     *              shouldRetry: function(error, response, attempt) {
+     *                  return attempt < 3;
+     *              },
+     *              // POST/PUT/PATCH/DELETE requests that fail while offline are queued and replayed in order when back online
+     *              queue: {
+     *                  retries: 5,                             // number of failed replays before giving up, default -1 (keep trying)
+     *                  onSuccess: function(res, item) {},      // called when a queued request is replayed successfully
+     *                  onFailure: function(err, item) {}       // called when a queued request is rejected (4xx) or runs out of retries
+     *              },
+     *              namespace: 'myapp',         // keep these cached responses apart from others in the same storage
+     *              cacheVersion: 3,            // bump to invalidate (and remove) everything cached with a previous version
      *              // what unique key should we use to cache the content
-     *              cacheKeyGenerator: function(url, opts, hash) {
+     *              cacheKeyGenerator: function(url, opts, defaultKey) {
      *                  return 'myapp:' + url;
      *              }
      *          }
@@ -47,46 +228,159 @@
 
         if (!url || url === '') return Promise.reject(new Error('Please provide a URL'));
         if (options !== undefined && typeof options !== 'object') return Promise.reject(new Error('If defined, options must be of type object'));
-        if (!fetch) return Promise.reject(new Error('fetch not supported, are you missing the fetch polyfill?'));
+
+        // apply the policy of the first matching route, offline options passed with the request take precedence
+        var matchedRoute = findRoute(url, options);
+
+        options = applyRoute(options, matchedRoute);
+
+        // fetch implementation, defaults to the global fetch
+        var fetchImpl = (options && options.offline && typeof options.offline.fetch === 'function') ? options.offline.fetch : root.fetch;
+
+        if (!fetchImpl) return Promise.reject(new Error('fetch not supported, are you missing the fetch polyfill?'));
+        if (options && options.offline && options.offline.strategy && strategies.indexOf(options.offline.strategy) === -1) {
+            return Promise.reject(new Error('Unknown offline strategy: ' + options.offline.strategy));
+        }
 
         // offline not requested, execute a regular fetch
-        if (!options || !options.offline) return fetch(url, options);
+        if (!options || !options.offline) return fetchImpl(url, options);
 
         // get the offline options, if set to true assumes defaults
         var offlineOptions = (typeof options.offline !== 'object') ? {} : options.offline;
 
-        // storage type, default sessionStorage (supports any storage matching localStorage API)
-        var storage = root[offlineOptions.storage || 'sessionStorage'];
+        // storage name or object, default sessionStorage (supports any storage matching localStorage API)
+        var storage = getStorage(options);
 
         // request timeout in milliseconds, defaults to 30 seconds
         var timeout = parseInt(offlineOptions.timeout || '10000', 10);
 
-        // number of retries before giving up
-        var retries = parseInt(offlineOptions.retries || '-1', 10);
+        // number of retries before giving up, default 0
+        var retries = parseInt(offlineOptions.retries || '0', 10);
 
-        // number of milliseconds to wait between each retry
-        var retryDelay = parseInt(offlineOptions.retryDelay || '-1', 10);
+        // how failed requests are retried, see fetchRetry
+        var retryPolicy = {
+            retries: retries,
+            retryDelay: (typeof offlineOptions.retryDelay === 'number') ? offlineOptions.retryDelay : 1000,
+            backoff: (typeof offlineOptions.retryBackoff === 'number') ? offlineOptions.retryBackoff : 1,
+            jitter: (typeof offlineOptions.retryJitter === 'number') ? offlineOptions.retryJitter : 0,
+            maxDelay: parseInt(offlineOptions.retryMaxDelay || '-1', 10),
+            statuses: offlineOptions.retryOn || [408, 429, 502, 503, 504],
+            retryTimeouts: (offlineOptions.retryTimeouts === true),
+            timeout: timeout,
+            deadline: parseInt(offlineOptions.retryDeadline || '-1', 10),
+            shouldRetry: offlineOptions.shouldRetry,
+            fetch: fetchImpl
+        };
 
         // expires in milliseconds, defaults to -1 so checks for new content on each request
         var expires = (typeof offlineOptions.expires === 'number') ? offlineOptions.expires : -1;
 
+        // cached responses stored longer ago than this (ms) are never served, even offline, defaults to -1 (no limit)
+        var maxStale = (typeof offlineOptions.maxStale === 'number') ? offlineOptions.maxStale : -1;
+
         // should this request skip cache?
         var renew = (offlineOptions.renew === true);
 
-        // logs request/cache hits to console if enabled, default false
-        var debug = (offlineOptions.debug === true);
+        // resolve only once the response has been written to storage, default false (stored in the background)
+        var waitForStore = (offlineOptions.waitForStore === true);
+
+        // announce cache writes to other tabs and let only one tab at a time refresh a response, default false
+        var crossTab = (offlineOptions.crossTab === true || typeof offlineOptions.crossTab === 'object');
+
+        // how long a tab may hold the refresh lock before other tabs stop waiting for it, defaults to the request timeout
+        var lockTimeout = parseInt((crossTab && offlineOptions.crossTab.lockTimeout) || timeout, 10);
+
+        // how the cache and network are used, defaults to cache-first (serve from cache until it expires)
+        var strategy = offlineOptions.strategy || 'cache-first';
+
+        // allow/deny lists of response headers to persist with cached content
+        var storeHeaders = offlineOptions.storeHeaders || {};
+
+        // storage limits, least recently used entries are evicted when exceeded (or the storage quota is reached)
+        var cacheLimits = {
+            storage: storage,
+            maxEntries: parseInt(offlineOptions.maxEntries || '-1', 10),
+            maxBytes: parseInt(offlineOptions.maxBytes || '-1', 10),
+            purgeAfter: parseInt(offlineOptions.purgeAfter || '-1', 10)
+        };
+
+        // key (or function returning a key) used to encrypt cached responses, default null (not encrypted)
+        var encryption = offlineOptions.encryption || null;
+
+        // how cached responses are written to storage: encrypted and/or compressed (if content is larger than a threshold)
+        var codec = { encryption: encryption, compression: offlineOptions.compression };
+
+        // store binary content as an ArrayBuffer (localForage etc) rather than a base64 string, default false
+        var nativeBinary = (offlineOptions.nativeBinary === true);
+
+        // honour Cache-Control/Expires headers and revalidate using ETag/Last-Modified, default false
+        var httpCache = (offlineOptions.httpCache === true || typeof offlineOptions.httpCache === 'object');
+
+        // shared caches (such as a server) must not store private responses and prefer s-maxage
+        var httpCacheShared = (httpCache && offlineOptions.httpCache.shared === true);
+
+        // return the cached response (if we have one) when the caller aborts the request, default false
+        var fallbackOnAbort = (offlineOptions.fallbackOnAbort === true);
+
+        // logs requests and lifecycle events to options.logger, or the console if debug is enabled
+        var logger = getLogger(offlineOptions);
 
         // method, defaults to GET
         var method = options.method || 'GET';
 
-        // detect offline if supported (if true, browser supports the property & client is offline)
-        var isOffline = (root.navigator && root.navigator.onLine === false);
+        // share the network request with identical requests in progress, defaults to true for GET requests
+        // (requests with an abort signal are never shared, so aborting one does not abort the others)
+        var coalesce = ((typeof offlineOptions.coalesce === 'boolean') ? offlineOptions.coalesce : method.toUpperCase() === 'GET') && !options.signal;
+
+        // detect offline using navigator.onLine and the connectivity monitor, if offline we go straight to cache
+        var isOffline = !isOnline();
+
+        // key used to store the response
+        var cacheKey = getCacheKey(url, options);
+
+        // used to report how long the request took in lifecycle events
+        var startedAt = Date.now();
+
+        // number of the last network attempt made for this request
+        var attempt = 0;
+
+        // groups this request is counted in by offlineFetch.stats
+        var statsGroups = {
+            prefix: getKeyPrefix(options),
+            route: (matchedRoute) ? matchedRoute.label : null
+        };
+
+        // remember the storage so offlineFetch.stats can report its size
+        statsStorages[(typeof offlineOptions.storage === 'object') ? 'storage-' + getStorageId(storage) : offlineOptions.storage || 'sessionStorage'] = storage;
+
+        // reports a lifecycle event to the request hooks, offlineFetch.on listeners, the logger and stats
+        var emit = function (type, details) {
+
+            var event = copyObject({
+                url: url,
+                cacheKey: cacheKey,
+                strategy: strategy,
+                attempt: attempt,
+                duration: Date.now() - startedAt
+            }, details);
+
+            recordStat(statsGroups, type, event);
+            emitEvent(type, event, offlineOptions, logger);
+        };
 
-        // a hash of the method + url, used as default cache key if no generator passed
-        var requestHash = 'offline-fetch-' + stringToHash(method + '|' + url);
+        // let the retry loop report each attempt, retry and timeout
+        retryPolicy.onAttempt = function (number) {
+            attempt = number;
+        };
 
-        // if cacheKeyGenerator provided, use that otherwise use the hash generated above
-        var cacheKey = (typeof options.offline.cacheKeyGenerator === 'function') ? options.offline.cacheKeyGenerator(url, options, requestHash) : requestHash;
+        retryPolicy.onRetry = function (number, delay, error, response) {
+            if (response) emit('retry', { reason: 'status', status: response.status, delay: delay });
+            else emit('retry', { reason: (error.message === 'Promise Timed Out') ? 'timeout' : 'network-error', error: error, delay: delay });
+        };
+
+        retryPolicy.onTimeout = function () {
+            emit('timeout', { reason: 'timeout', timeout: timeout });
+        };
 
         // remove null items from options (EDGE does not like them)
         Object.keys(options || {}).forEach(function(key) {
@@ -95,10 +389,29 @@
             }
         });
 
+        // answer purely from a recording, neither the network or the cache are used
+        if (offlineOptions.replay) {
+            if (logger) logger('offlineFetch[replay]: ' + url);
+            return replayRequest(url, options, offlineOptions.replay);
+        }
+
+        if (crossTab) enableCrossTab();
+
+        // remove entries cached with a previous cacheVersion of this namespace, once per session
+        collectOldVersions(storage, offlineOptions);
+
+        // mutating requests with a queue option are added to the outbox if they can not be sent
+        if (offlineOptions.queue && isMutatingMethod(method)) {
+            registerQueueStorage(offlineOptions.storage || 'sessionStorage', offlineOptions.fetch);
+            return queueFetch(url, options, storage, offlineOptions.fetch, timeout, isOffline, logger);
+        }
+
         // execute cache gets with a promise, just incase we're using a promise storage
         return new Promise(function(resolve) {
+
             try {
-                resolve(storage.getItem(cacheKey));
+                // network-only requests never touch the cache
+                resolve((strategy === 'network-only') ? null : storage.getItem(cacheKey));
             }
             catch (err) {
                 // node-localstorage returns errors if file does not exist
@@ -106,87 +419,352 @@
                 resolve(null);
             }
         })
+        .then(function (value) {
+
+            // convert to JSON object (decrypting if needed), entries we can not read (wrong or rotated key etc) are removed
+            return decodeCachedItem(value, encryption).catch(function () {
+                return removeStorageItem(storage, cacheKey).then(function () {
+                    return { unreadable: true };
+                }, function () {
+                    return { unreadable: true };
+                });
+            });
+        })
         .then(function (cachedItem) {
 
-            // convert to JSON object if it's not already
-            cachedItem = (typeof cachedItem === 'string') ? JSON.parse(cachedItem) : cachedItem;
+            // why the cache can not be used, reported in cacheMiss events
+            var missReason = (cachedItem) ? strategy : 'not-cached';
 
-            // convert cached data into a fetch Response object, allowing consumers to process as normal
-            var cachedResponse = null;
+            if (cachedItem && cachedItem.unreadable) {
+                missReason = 'unreadable';
+                cachedItem = null;
+            }
 
-            if (cachedItem) {
+            // the cached response was for different request headers (Accept-Language etc), treat it as a miss
+            if (cachedItem && !isVaryMatch(cachedItem, options.headers)) {
+                missReason = 'vary-mismatch';
+                cachedItem = null;
+            }
 
-                var cachedAt = cachedItem.storedAt ? new Date(cachedItem.storedAt).toISOString() : '';
+            // the cached response is too old to be served, if the network fails the request rejects rather than fall back to it
+            var tooStale = !!cachedItem && maxStale >= 0 && (Date.now() - cachedItem.storedAt) > maxStale;
 
-                cachedResponse = new Response(cachedItem.content, {
-                    status: cachedItem.status,
-                    statusText: cachedItem.statusText,
-                    headers: {
-                        'Content-Type': cachedItem.contentType,
-                        'x-offline-cache': 'HIT',
-                        'x-offline-stored-at': cachedAt
-                    }
-                });
+            if (tooStale) {
+                missReason = 'too-stale';
+                cachedItem = null;
+            }
+
+            // record the access so the least recently used entries are evicted first
+            if (cachedItem && (cacheLimits.maxEntries > 0 || cacheLimits.maxBytes > 0)) {
+                accessTimes[getStorageId(storage) + '|' + cacheKey] = Date.now();
             }
 
+            // convert cached data into a fetch Response object, allowing consumers to process as normal
+            var cachedResponse = (cachedItem) ? cachedItemToResponse(cachedItem) : null;
+
             // determine if the cached content has expired
             var cacheExpired = (cachedItem && expires > 0) ? ((Date.now() - cachedItem.storedAt) > expires) : false;
 
-            // if the request is cached and we're offline, return cached content
-            if (cachedResponse && isOffline) {
-                if (debug) log('offlineFetch[cache] (offline): ' + url);
-                return Promise.resolve(cachedResponse);
+            // when honouring cache headers, the freshness lifetime sent by the server takes precedence
+            if (cachedItem && httpCache && typeof cachedItem.maxAge === 'number') {
+                cacheExpired = (Date.now() - cachedItem.storedAt) >= cachedItem.maxAge;
             }
 
-            // if the request is cached, expires is set but not expired, and this is not a renew request, return cached content
-            if (cachedResponse && !cacheExpired && !renew) {
-                if (debug) log('offlineFetch[cache]: ' + url);
-                return Promise.resolve(cachedResponse);
-            }
+            // ask the server to only send the body if it has changed since we cached it
+            var fetchOptions = (cachedItem && httpCache) ? addConditionalHeaders(options, cachedItem) : options;
 
-            // execute the request within a timeout, if it times-out, return cached response
-            return promiseTimeout(timeout, fetch(url, options)).then(function (res) {
-
-                // if response status is within 200-299 range inclusive res.ok will be true
-                if (res.status >= 200 && res.status <= 299) {
-
-                    var contentType = res.headers.get('Content-Type') || '';
-
-                    // let's only store in cache if the content-type is JSON or something non-binary
-                    if (contentType.match(/application\/json/i) || contentType.match(/text\//i)) {
-                        // There is a .json() instead of .text() but we're going to store it as a string anyway.
-                        // If we don't clone the response, it will be consumed by the time it's returned.
-                        // This way we're being un-intrusive.
-                        res.clone().text().then(function (content) {
-
-                            var contentToStore = JSON.stringify({
-                                url: url,
-                                status: res.status,         // store the response status
-                                statusText: res.statusText, // the response status text
-                                contentType: contentType,   // the response content type
-                                content: content,           // the body of the response as a string
-                                storedAt: Date.now()        // store the date-time in milliseconds that the item was cached
+            // executes the request within a timeout and caches the response, onStored is called with the item written to storage
+            var fetchFromNetwork = function (onStored) {
+
+                // requests only share a response if they send the same headers (Accept-Language, Authorization etc)
+                // and would store it the same way, otherwise the response is stored with the settings of the first request
+                var inflightKey = getStorageId(storage) + '|' + cacheKey + '|' + getHeadersKey(options.headers) + '|' + getStoreSettingsKey({
+                    store: strategy !== 'network-only',
+                    waitForStore: waitForStore || crossTab,
+                    encryption: encryption,
+                    compression: offlineOptions.compression,
+                    storeHeaders: storeHeaders,
+                    httpCache: httpCache,
+                    httpCacheShared: httpCacheShared,
+                    nativeBinary: nativeBinary,
+                    maxEntries: cacheLimits.maxEntries,
+                    maxBytes: cacheLimits.maxBytes,
+                    purgeAfter: cacheLimits.purgeAfter
+                });
+                var inflight = (coalesce) ? inflightRequests[inflightKey] : null;
+
+                // an identical request is in progress, wait for it rather than make another network request
+                if (inflight) {
+
+                    if (onStored) inflight.onStored.push(onStored);
+
+                    if (logger) logger('offlineFetch[coalesced]: ' + url);
+
+                    return inflight.request.then(function (res) {
+                        return res.clone();
+                    });
+                }
+
+                // callbacks to run once the response has been stored, one per request sharing it
+                var storedCallbacks = (onStored) ? [onStored] : [];
+
+                // when we have a cached response, network failures fall back to it rather than retry
+                var policy = copyObject(retryPolicy, { hasFallback: !!cachedResponse });
+
+                var networkStartedAt = Date.now();
+
+                var request = fetchRetry(url, fetchOptions, policy).then(function (res) {
+
+                    recordStat(statsGroups, 'network', { duration: Date.now() - networkStartedAt });
+
+                    if (harRecorders.length > 0) recordExchange(url, fetchOptions, res, startedAt);
+
+                    // content has not changed, refresh the cached copy and return it without downloading it again
+                    if (res.status === 304 && cachedItem) {
+
+                        cachedItem.storedAt = Date.now();
+
+                        var refreshedMaxAge = getFreshnessLifetime(res.headers, httpCacheShared);
+
+                        if (typeof refreshedMaxAge === 'number') cachedItem.maxAge = refreshedMaxAge;
+
+                        // a 304 carries updated metadata (ETag, Cache-Control etc) for the stored response
+                        var refreshedHeaders = filterHeaders(res.headers, storeHeaders);
+
+                        cachedItem.headers = cachedItem.headers || {};
+
+                        Object.keys(refreshedHeaders).forEach(function (name) {
+                            if (name !== 'content-type') cachedItem.headers[name] = refreshedHeaders[name];
+                        });
+
+                        var refreshed = storeCachedItem(storage, cacheKey, cachedItem, cacheLimits, codec).then(function () {
+                            emit('store', { reason: 'not-modified', status: cachedItem.status });
+                        })
+                        .catch(function (error) {
+                            emit('storeError', { reason: error.message || 'error', error: error });
+                        });
+
+                        emit('cacheHit', { reason: 'not-modified' });
+
+                        return (waitForStore) ? refreshed.then(function () {
+                            return setCacheReason(cachedItemToResponse(cachedItem), 'not-modified', cachedItem);
+                        }) : setCacheReason(cachedItemToResponse(cachedItem), 'not-modified', cachedItem);
+                    }
+
+                    // resolves once the response has been stored (or failed to store), null if it's not being stored
+                    var stored = null;
+
+                    // if response status is within 200-299 range inclusive res.ok will be true
+                    if (res.status >= 200 && res.status <= 299 && strategy !== 'network-only') {
+
+                        var contentType = res.headers.get('Content-Type') || '';
+                        var cacheControl = (httpCache) ? parseCacheControl(res.headers.get('Cache-Control')) : {};
+                        var vary = res.headers.get('Vary');
+
+                        // the server has asked us not to keep a copy of this response (Vary: * can never be matched)
+                        if (cacheControl['no-store'] || (httpCacheShared && cacheControl.private) || /\*/.test(vary || '')) {
+                            if (cachedItem) removeStorageItem(storage, cacheKey).catch(function () {});
+                        }
+                        else {
+                            // text content (JSON, HTML etc) is stored as a string, anything else is read as binary.
+                            // If we don't clone the response, it will be consumed by the time it's returned.
+                            // This way we're being un-intrusive.
+                            var isText = isTextContentType(contentType);
+
+                            // read within the promise chain, so a response we can not read (no arrayBuffer etc) fails the store not the request
+                            var readBody = Promise.resolve().then(function () {
+                                return (isText) ? res.clone().text() : res.clone().arrayBuffer();
+                            });
+
+                            // read the headers now, before we add our own
+                            var headersToStore = filterHeaders(res.headers, storeHeaders);
+
+                            stored = readBody.then(function (content) {
+
+                                var itemToStore = {
+                                    schema: recordSchema,       // format of this record
+                                    url: url,
+                                    status: res.status,         // store the response status
+                                    statusText: res.statusText, // the response status text
+                                    contentType: contentType,   // the response content type
+                                    content: content,           // the body of the response as a string
+                                    headers: headersToStore,    // the response headers, filtered by storeHeaders
+                                    responseUrl: res.url,       // the final url of the response (after redirects)
+                                    redirected: res.redirected, // true if the response is the result of a redirect
+                                    storedAt: Date.now()        // store the date-time in milliseconds that the item was cached
+                                };
+
+                                // binary content is either kept as an ArrayBuffer or encoded so it fits in string storage
+                                if (!isText) {
+                                    itemToStore.encoding = (nativeBinary) ? 'arraybuffer' : 'base64';
+                                    itemToStore.content = (nativeBinary) ? content : arrayBufferToBase64(content);
+                                }
+
+                                // remember the request headers the response depends on, so we only serve it to matching requests
+                                if (vary) itemToStore.vary = getVaryValues(vary, options.headers);
+
+                                if (httpCache) {
+                                    itemToStore.etag = res.headers.get('ETag') || undefined;
+                                    itemToStore.lastModified = res.headers.get('Last-Modified') || undefined;
+                                    itemToStore.maxAge = getFreshnessLifetime(res.headers, httpCacheShared);
+                                }
+
+                                // store the content in cache, making room if the storage is full
+                                return storeCachedItem(storage, cacheKey, itemToStore, cacheLimits, codec).then(function () {
+                                    emit('store', { reason: (cachedItem) ? 'updated' : 'new', status: res.status });
+                                    storedCallbacks.forEach(function (callback) {
+                                        callback(itemToStore, res);
+                                    });
+                                });
+                            })
+                            .catch(function (error) {
+                                emit('storeError', { reason: error.message || 'error', error: error });
                             });
+                        }
+                    }
+
+                    if (logger) logger('offlineFetch[live]: ' + url);
+
+                    try {
+                        // add cache MISS header
+                        res.headers.append('x-offline-cache', 'MISS');
+                    }
+                    catch {
+                        // headerd are likely locked, ignore.
+                    }
+
+                    // with cross-tab coordination the response is stored before the lock is released, so waiting tabs can read it
+                    return ((waitForStore || crossTab) && stored) ? stored.then(function () {
+                        return res;
+                    }) : res;
+                });
+
+                if (!coalesce) return request;
+
+                inflightRequests[inflightKey] = { request: request, onStored: storedCallbacks };
+
+                var settled = function () {
+                    delete inflightRequests[inflightKey];
+                };
+
+                request.then(settled, settled);
+
+                // every request gets its own copy of the response, so each can read the body
+                return request.then(function (res) {
+                    return res.clone();
+                });
+            };
+
+            // with cross-tab coordination only one tab refreshes the response, the others wait for it and read it from the cache
+            var refreshFromNetwork = function (onStored) {
 
-                            // store the content in cache as a JSON object
-                            storage.setItem(cacheKey, contentToStore);
+                if (!crossTab || strategy === 'network-only') return fetchFromNetwork(onStored);
+
+                return acquireLock(storage, cacheKey, lockTimeout).then(function (acquired) {
+
+                    if (acquired) {
+                        return fetchFromNetwork(onStored).then(function (res) {
+                            return releaseLock(storage, cacheKey).then(function () {
+                                return res;
+                            });
+                        }, function (error) {
+                            return releaseLock(storage, cacheKey).then(function () {
+                                return Promise.reject(error);
+                            });
                         });
                     }
-                }
 
-                if (debug) log('offlineFetch[live]: ' + url);
+                    if (logger) logger('offlineFetch[locked]: ' + url);
 
-                try {
-                    // add cache MISS header
-                    res.headers.append('x-offline-cache', 'MISS');
+                    return waitForRefresh(cacheKey, lockTimeout).then(function () {
+                        return readCachedItem(storage, cacheKey, encryption);
+                    })
+                    .then(function (refreshedItem) {
+
+                        var cachedAt = (cachedItem) ? cachedItem.storedAt : 0;
+
+                        // the other tab stored a newer response, use it rather than make another network request
+                        if (refreshedItem && refreshedItem.storedAt > cachedAt && isVaryMatch(refreshedItem, options.headers)) {
+                            emit('cacheHit', { reason: 'refreshed' });
+                            return setCacheReason(cachedItemToResponse(refreshedItem), 'refreshed', refreshedItem);
+                        }
+
+                        return fetchFromNetwork(onStored);
+                    });
+                });
+            };
+
+            // cache-only requests never touch the network
+            if (strategy === 'cache-only') {
+
+                emit((cachedResponse) ? 'cacheHit' : 'cacheMiss', { reason: (cachedResponse) ? 'cache-only' : missReason });
+
+                if (tooStale) return Promise.reject(createTooStaleError(url, maxStale));
+
+                return (cachedResponse) ? Promise.resolve(setCacheReason(cachedResponse, 'cache-only', cachedItem)) : Promise.reject(new Error('No cached response for ' + url));
+            }
+
+            // if the request is cached and we're offline, return cached content
+            if (cachedResponse && isOffline) {
+                emit('cacheHit', { reason: 'offline' });
+                return Promise.resolve(setCacheReason(cachedResponse, 'offline', cachedItem));
+            }
+
+            // return the cached content immediately, refreshing it in the background if it's stale
+            if (strategy === 'stale-while-revalidate' && cachedResponse) {
+
+                // without an expiry every request is considered stale
+                var hasExpiry = (expires > 0 || (httpCache && typeof cachedItem.maxAge === 'number'));
+
+                if (renew || cacheExpired || !hasExpiry) {
+
+                    emit('cacheHit', { reason: 'stale' });
+
+                    refreshFromNetwork(function (storedItem, res) {
+
+                        // let the app know the content has changed so it can re-render
+                        if (!isSameContent(storedItem, cachedItem) && typeof offlineOptions.onUpdate === 'function') {
+                            offlineOptions.onUpdate(res, url);
+                        }
+                    })
+                    .catch(function (error) {
+                        if (logger) logger('offlineFetch[' + (error.message || '') + '] (revalidate failed): ' + url);
+                    });
                 }
-                catch {
-                    // headerd are likely locked, ignore.
+                else {
+                    emit('cacheHit', { reason: 'fresh' });
                 }
 
-                return res;
-            })
-            .catch(function (error) {
+                return Promise.resolve(setCacheReason(cachedResponse, (renew || cacheExpired || !hasExpiry) ? 'stale' : 'fresh', cachedItem));
+            }
+
+            // if the request is cached, expires is set but not expired, and this is not a renew request, return cached content
+            if (strategy === 'cache-first' && cachedResponse && !cacheExpired && !renew) {
+                emit('cacheHit', { reason: 'fresh' });
+                return Promise.resolve(setCacheReason(cachedResponse, 'fresh', cachedItem));
+            }
+
+            // we're going to the network, report why the cache could not be used
+            if (strategy !== 'network-only') {
+                if (cachedResponse && cacheExpired) missReason = 'expired';
+                if (cachedResponse && renew) missReason = 'renew';
+
+                emit('cacheMiss', { reason: missReason });
+            }
+
+            // execute the request within a timeout, if it times-out, return cached response
+            return refreshFromNetwork().catch(function (error) {
+
+                // the caller aborted the request, only fall back to cache if they asked us to
+                if (isAbortError(error)) {
+
+                    if (fallbackOnAbort && cachedResponse) {
+                        emit('fallback', { reason: 'aborted', error: error });
+                        return Promise.resolve(setCacheReason(cachedResponse, 'aborted', cachedItem));
+                    }
+
+                    return Promise.reject(error);
+                }
 
                 var errorMessage = error.message || '';
                 var timedout = (errorMessage) === 'Promise Timed Out';
@@ -196,140 +774,3697 @@
                 // if its a timeout, failed to fetch or network failed and we have a cached response, return it
                 if ((timedout || failedToFetch || networkFailed) && cachedResponse) {
 
-                    if (debug && timedout) log('offlineFetch[cache] (timedout): ' + url);
-                    if (debug && failedToFetch) log('offlineFetch[cache] (failed to fetch): ' + url);
-                    if (debug && networkFailed) log('offlineFetch[cache] (network failed): ' + url);
-
-                    return Promise.resolve(cachedResponse);
-                }
+                    var fallbackReason = 'network-failed';
 
-                // if it was not a timeout, but we have retries, try them
-                if (!timedout && retries) {
+                    if (timedout) fallbackReason = 'timeout';
+                    if (failedToFetch) fallbackReason = 'failed-to-fetch';
 
-                    if (debug) log('offlineFetch[' + errorMessage + '] (retrying): ' + url);
+                    emit('fallback', { reason: fallbackReason, error: error });
 
-                    // retry fetch
-                    return fetchRetry(url, options, retries, retryDelay, debug);
+                    return Promise.resolve(setCacheReason(cachedResponse, (timedout) ? 'timeout' : 'network-error', cachedItem));
                 }
 
-                // it's a genuine request error, reject as normal
+                // we have a cached response but it's too old to fall back to, make that clear rather than report the network error
+                if (tooStale) return Promise.reject(createTooStaleError(url, maxStale, error));
+
+                // it's a genuine request error (retries have been exhausted), reject as normal
                 return Promise.reject(error);
             });
         });
     }
 
-    /* --- HELPERS --- */
-
     /**
-     * Retries a fetch if it fails
-     * @param {string} url - url to fetch
-     * @param {object} options - fetch options
-     * @param {integer} retries - number of times to retry the request
-     * @param {integer} retryDelay - the number of milliseconds to wait between retries
-     * @param {boolean} debug - logs retry count to console if true
-     * @returns {Promise} executes .then if successful otherwise .catch
+     * Replays queued requests in the order they were made, stopping at the first request that can not be sent
+     * @param {object} [options] - flush options
+     * @param {string|object} [options.storage] - storage holding the queue, defaults to every storage used to queue requests (or sessionStorage)
+     * @param {function} [options.fetch] - fetch implementation used to send the requests, defaults to the one they were queued with
+     * @param {function} [options.onSuccess] - called with (response, item) for each queued request that was sent successfully
+     * @param {function} [options.onFailure] - called with (error, item) for each queued request that was rejected or ran out of retries
+     * @example
+     *      // replay requests queued before the page was reloaded
+     *      offlineFetch.flush({ storage: 'localStorage' }).then(function(result) {
+     *          // result = { sent: 2, failed: 0, pending: 0 }
+     *      });
+     * @returns {Promise} resolves with a count of sent, failed and pending requests
      */
-    function fetchRetry(url, options, retries, retryDelay, debug) {
-
-        retries = retries || 3;
-        retryDelay = retryDelay || 1000;
-
-        return new Promise(function (resolve, reject) {
-
-            var wrappedFetch = function (n) {
+    function flush(options) {
 
-                if (debug) log('offlineFetch[retrying] (' + n + ' of ' + retries + '): ' + url);
+        options = options || {};
 
-                fetch(url, options).then(function (response) {
-                    resolve(response);
-                })
-                .catch(function (error) {
+        var storageIds = Object.keys(queueStorages);
 
-                    if (n > 0) {
-                        setTimeout(function () {
-                            wrappedFetch(--n);
-                        }, retryDelay);
-                    }
-                    else {
-                        reject(error);
-                    }
-                });
-            };
+        if (options.storage || storageIds.length === 0) {
+            storageIds = [registerQueueStorage(options.storage || 'sessionStorage', options.fetch)];
+        }
 
-            wrappedFetch(retries);
+        return Promise.all(storageIds.map(function (id) {
+            var queued = queueStorages[id];
+            return flushQueue(getStorage(queued), copyObject(options, { fetch: options.fetch || queued.fetch }));
+        }))
+        .then(function (results) {
+            return results.reduce(function (total, result) {
+                total.sent += result.sent;
+                total.failed += result.failed;
+                total.pending += result.pending;
+                return total;
+            }, { sent: 0, failed: 0, pending: 0 });
         });
     }
 
     /**
-     * Logs to console if its available
-     * @param {any} value - value to log to the console
-     * @returns {void}
+     * Returns the cached response for a request, without using the network
+     * @param {string} url - URL of the request
+     * @param {object} [options] - fetch options with .offline property, as passed to offlineFetch
+     * @example
+     *      offlineFetch.cache.get('https://courseof.life/johndoherty.json', { offline: { storage: 'localStorage' } }).then(function(res) {
+     *          // res is null if nothing is cached
+     *      });
+     * @returns {Promise} resolves with the cached Response or null
      */
-    function log(value) {
-        if (console && console.log) {
-            console.log(value);
-        }
+    function cacheGet(url, options) {
+
+        options = options || {};
+
+        return readCachedItem(getStorage(options), getCacheKey(url, options), getEncryption(options)).then(function (cachedItem) {
+            return (cachedItem && isVaryMatch(cachedItem, options.headers)) ? cachedItemToResponse(cachedItem) : null;
+        });
     }
 
     /**
-     * Returns the hash of string (slightly compressed)
-     * @param {string} value - string to hash
-     * @returns {string} hash of the value
+     * Removes the cached response for a request
+     * @param {string} url - URL of the request
+     * @param {object} [options] - fetch options with .offline property, as passed to offlineFetch
+     * @returns {Promise} resolves with true if an entry was removed
      */
-    function stringToHash(value) {
+    function cacheDelete(url, options) {
 
-        var hash = 0;
+        options = options || {};
 
-        if (value.length === 0) return hash;
+        var storage = getStorage(options);
+        var cacheKey = getCacheKey(url, options);
 
-        for (var i = 0, l = value.length; i < l; i++) {
-            var char = value.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
-        }
+        return readCachedItem(storage, cacheKey, getEncryption(options)).then(function (cachedItem) {
+
+            if (!cachedItem) return false;
 
-        return hash;
+            return removeStorageItem(storage, cacheKey).then(function () {
+                return true;
+            });
+        });
     }
 
     /**
-     * wraps a promise in a timeout, allowing the promise to reject if not resolve with a specific period of time
-     * @param {integer} ms - milliseconds to wait before rejecting promise if not resolved
-     * @param {Promise} promise to monitor
+     * Removes every cached response whose URL matches a pattern
+     * @param {string|RegExp|function} pattern - URL prefix, regular expression or function(url, item) returning true to remove
+     * @param {object} [options] - { storage: 'localStorage' } defaults to sessionStorage
      * @example
-     *  promiseTimeout(1000, fetch('https://courseof.life/johndoherty.json'))
-     *      .then(function(cvData){
-     *          alert(cvData);
-     *      })
-     *      .catch(function(){
-     *          alert('request either failed or timed-out');
-     *      });
-     * @returns {Promise} resolves as normal if not timed-out, otherwise rejects
+     *      offlineFetch.cache.invalidate('https://api.example.com/users/', { storage: 'localStorage' });
+     *      offlineFetch.cache.invalidate(/\/prices\//);
+     *      offlineFetch.cache.invalidate(function(url, item) { return item.status !== 200; });
+     * @returns {Promise} resolves with the number of entries removed
      */
-    function promiseTimeout(ms, promise) {
+    function cacheInvalidate(pattern, options) {
 
-        return new Promise(function (resolve, reject) {
+        var storage = getStorage(options);
+        var encryption = getEncryption(options);
+        var isMatch = function (url, item) {
+            if (typeof pattern === 'function') return pattern(url, item) === true;
+            if (pattern instanceof RegExp) return pattern.test(url);
+            return String(url).indexOf(pattern) === 0;
+        };
 
-            // create a timeout to reject promise if not resolved
-            var timer = setTimeout(function () {
-                reject(new Error('Promise Timed Out'));
-            }, ms);
+        return cacheKeys(options).then(function (keys) {
+            return Promise.all(keys.map(function (key) {
+                return readCachedItem(storage, key, encryption).then(function (cachedItem) {
 
-            promise.then(function (res) {
-                clearTimeout(timer);
-                resolve(res);
-            })
-                .catch(function (err) {
-                    clearTimeout(timer);
-                    reject(err);
+                    if (!cachedItem || !isMatch(cachedItem.url, cachedItem)) return 0;
+
+                    return removeStorageItem(storage, key).then(function () {
+                        return 1;
+                    });
                 });
+            }));
+        })
+        .then(function (removed) {
+            return removed.reduce(function (total, count) {
+                return total + count;
+            }, 0);
+        });
+    }
+
+    /**
+     * Lists the keys of every cached response (entries are recognised by the offline-fetch- key prefix)
+     * @param {object} [options] - { storage: 'localStorage', namespace: 'myapp', cacheVersion: 3 } only lists the namespace/version if set
+     * @returns {Promise} resolves with an array of cache keys
+     */
+    function cacheKeys(options) {
+
+        var prefix = getKeyPrefix(options);
+
+        return getCacheKeys(getStorage(options)).then(function (keys) {
+            return keys.filter(function (key) {
+                return String(key).indexOf(prefix) === 0;
+            });
         });
     }
 
-    if (typeof window === 'undefined') {
+    /**
+     * Removes every cached response, leaving queued requests and other app data untouched
+     * @param {object} [options] - { storage: 'localStorage' } defaults to sessionStorage
+     * @returns {Promise} resolves with the number of entries removed
+     */
+    function cacheClear(options) {
+
+        var storage = getStorage(options);
+
+        return cacheKeys(options).then(function (keys) {
+            return Promise.all(keys.map(function (key) {
+                return removeStorageItem(storage, key);
+            }))
+            .then(function () {
+                return keys.length;
+            });
+        });
+    }
+
+    /**
+     * Removes responses cached with a different cacheVersion of the same namespace
+     * (without a namespace, this includes responses cached before cacheVersion was set)
+     * @param {object} options - { storage: 'localStorage', namespace: 'myapp', cacheVersion: 3 }
+     * @returns {Promise} resolves with the number of entries removed
+     */
+    function cacheCollect(options) {
+
+        var storage = getStorage(options);
+        var namespace = getKeyNamespace(getKeyPrefix(options));
+
+        if (!namespace) return Promise.reject(new Error('Please provide a namespace and/or cacheVersion'));
+
+        return getCacheKeys(storage).then(function (keys) {
+
+            var oldKeys = keys.filter(function (key) {
+
+                var keyNamespace = getKeyNamespace(key);
+
+                // entries cached before versioning belong to the default namespace
+                if (!keyNamespace) return namespace.name === '';
+
+                return keyNamespace.name === namespace.name && keyNamespace.version !== namespace.version;
+            });
+
+            return Promise.all(oldKeys.map(function (key) {
+                return removeStorageItem(storage, key);
+            }))
+            .then(function () {
+                return oldKeys.length;
+            });
+        });
+    }
+
+    /**
+     * Removes cached responses stored longer ago than purgeAfter
+     * @param {object} options - { storage: 'localStorage', purgeAfter: 86400000 }
+     * @returns {Promise} resolves with the number of entries removed
+     */
+    function cacheSweep(options) {
+
+        var purgeAfter = parseInt((options && options.purgeAfter) || '-1', 10);
+
+        if (purgeAfter <= 0) return Promise.reject(new Error('Please provide purgeAfter in milliseconds'));
+
+        return cacheInvalidate(function (url, item) {
+            return (Date.now() - (item.storedAt || 0)) > purgeAfter;
+        }, options);
+    }
+
+    /**
+     * Listens for lifecycle events from every request: cacheHit, cacheMiss, store, storeError, retry, timeout and fallback
+     * @param {string} type - event type
+     * @param {function} listener - called with the event { type, url, cacheKey, strategy, reason, attempt, duration, ... }
+     * @example
+     *      offlineFetch.on('fallback', function(event) {
+     *          telemetry.track('offline-fallback', { url: event.url, reason: event.reason });
+     *      });
+     * @returns {function} removes the listener when called
+     */
+    function on(type, listener) {
+
+        if (typeof listener !== 'function') throw new Error('Please provide a listener function');
+
+        listeners[type] = (listeners[type] || []).concat(listener);
+
+        return function () {
+            off(type, listener);
+        };
+    }
+
+    /**
+     * Removes a listener added with offlineFetch.on
+     * @param {string} type - event type
+     * @param {function} listener - listener to remove
+     * @returns {void}
+     */
+    function off(type, listener) {
+        listeners[type] = (listeners[type] || []).filter(function (item) {
+            return item !== listener;
+        });
+    }
+
+    /**
+     * Reports how effective the cache has been since the page loaded (or resetStats was called), in total and by cache key prefix and route
+     * @example
+     *      offlineFetch.stats().then(function(stats) {
+     *          // stats = { since, hits, misses, staleOffline, staleTimeout, staleNetworkError, stores, storeErrors, retries, timeouts,
+     *          //           networkRequests, networkLatency, cacheLatency, storage: { localStorage: { entries, bytes } }, byPrefix: {}, byRoute: {} }
+     *      });
+     * @returns {Promise} resolves with the stats, latencies are average milliseconds
+     */
+    function getStats() {
+
+        var names = Object.keys(statsStorages);
+
+        return Promise.all(names.map(function (name) {
+            return readCacheEntries(statsStorages[name]).then(function (entries) {
+                return {
+                    entries: entries.length,
+                    bytes: entries.reduce(function (total, entry) {
+                        return total + entry.size;
+                    }, 0)
+                };
+            })
+            .catch(function () {
+                return { entries: 0, bytes: 0 };
+            });
+        }))
+        .then(function (sizes) {
+
+            var result = formatCounters(stats.totals);
+            var byGroup = function (groups) {
+                return Object.keys(groups).reduce(function (group, name) {
+                    group[name] = formatCounters(groups[name]);
+                    return group;
+                }, {});
+            };
+
+            result.since = stats.since;
+            result.storage = {};
+
+            names.forEach(function (name, index) {
+                result.storage[name] = sizes[index];
+            });
+
+            result.byPrefix = byGroup(stats.byPrefix);
+            result.byRoute = byGroup(stats.byRoute);
+
+            return result;
+        });
+    }
+
+    /**
+     * Resets the counters reported by offlineFetch.stats
+     * @returns {void}
+     */
+    function resetStats() {
+        stats = createStats();
+    }
+
+    /**
+     * Adds a caching policy for requests whose URL (and method) match a pattern, the first matching route is applied.
+     * Requests matching a route get offline support even without an offline option, offline options passed with a request override the policy
+     * @param {string|RegExp|function} pattern - URL glob (* matches anything, globs starting with / match the path and query), regular expression or function(url, options)
+     * @param {object|boolean} policy - offline options (expires, timeout, retries, strategy etc) plus an optional method (or array of methods) to match,
+     * false to never use offline support for these requests
+     * @example
+     *      offlineFetch.route('/api/config/*', { expires: 24 * 60 * 60 * 1000 });
+     *      offlineFetch.route('/api/prices/*', { strategy: 'network-first', timeout: 2000 });
+     *      offlineFetch.route(/\/auth\//, { strategy: 'network-only' });
+     *      offlineFetch.route('*', { method: ['POST', 'PUT'], queue: true });
+     * @returns {function} removes the route
+     */
+    function route(pattern, policy) {
+
+        if (typeof pattern !== 'string' && !(pattern instanceof RegExp) && typeof pattern !== 'function') {
+            throw new Error('Please provide a URL pattern, regular expression or function');
+        }
+
+        var rule = {
+            label: (typeof pattern === 'function') ? pattern.name || 'function' : String(pattern),
+            pattern: (typeof pattern === 'string') ? globToRegExp(pattern) : pattern,
+            path: (typeof pattern === 'string' && pattern.charAt(0) === '/'),
+            methods: [].concat((policy && policy.method) || []).map(function (method) {
+                return String(method).toUpperCase();
+            }),
+            policy: policy
+        };
+
+        routes.push(rule);
+
+        return function () {
+            routes = routes.filter(function (item) {
+                return item !== rule;
+            });
+        };
+    }
+
+    /**
+     * Listens for changes to the cached response of a request, made by this or another tab (see the crossTab option)
+     * @param {string} url - URL of the request
+     * @param {function} listener - called with { type: 'update' or 'delete', url, cacheKey, remote } where remote is true if another tab made the change
+     * @param {object} [options] - fetch options with .offline property, used to work out the cache key
+     * @example
+     *      var unsubscribe = offlineFetch.subscribe('/api/jobs', function(event) {
+     *          if (event.type === 'update') render();
+     *      }, { offline: { storage: 'localStorage' } });
+     * @returns {function} call to stop listening
+     */
+    function subscribe(url, listener, options) {
+
+        if (typeof listener !== 'function') throw new Error('Please provide a listener function');
+
+        enableCrossTab();
+
+        return addSubscriber(getCacheKey(url, options || {}), function (event) {
+            if (event.type === 'update' || event.type === 'delete') listener(event);
+        });
+    }
+
+    /**
+     * Warms the cache by fetching a list of requests with bounded concurrency, skipping those with a fresh cached response
+     * @param {Array|object} manifest - array of urls and/or { url, options } entries, or an object with a urls array
+     * @param {object} [options] - precache options
+     * @param {integer} [options.concurrency] - maximum number of requests in progress at once, default 4
+     * @param {boolean} [options.renew] - if true, fetch every request even if its cached response is still fresh
+     * @param {AbortSignal} [options.signal] - aborting it cancels the requests in progress and skips the rest
+     * @param {function} [options.onProgress] - called after each request with { done, skipped, failed, total, url, error }
+     * @param {object} [options.offline] - offline options used for every request (storage, expires etc)
+     * @example
+     *      offlineFetch.precache(['/api/jobs', { url: '/api/parts', options: { headers: { Accept: 'application/json' } } }], {
+     *          concurrency: 2,
+     *          offline: { storage: 'localStorage', expires: 86400000 },
+     *          onProgress: function(progress) {
+     *              // progress = { done: 1, skipped: 0, failed: 0, total: 2, url: '/api/jobs' }
+     *          }
+     *      })
+     *      .then(function(summary) {
+     *          // summary = { done: 2, skipped: 0, failed: 0, total: 2, cancelled: false, errors: [] }
+     *      });
+     * @returns {Promise} resolves with a summary once every request has completed (or been cancelled)
+     */
+    function precache(manifest, options) {
+
+        options = options || {};
+
+        var list = (Array.isArray(manifest)) ? manifest : (manifest && manifest.urls) || [];
+        var entries = list.map(function (entry) {
+            return (typeof entry === 'string') ? { url: entry, options: {} } : { url: entry.url, options: entry.options || {} };
+        });
+
+        var concurrency = Math.max(parseInt(options.concurrency || '4', 10), 1);
+        var sharedOffline = (typeof options.offline === 'object') ? options.offline : {};
+        var signal = options.signal;
+        var summary = { done: 0, skipped: 0, failed: 0, total: entries.length, cancelled: false, errors: [] };
+        var next = 0;
+
+        var isCancelled = function () {
+            summary.cancelled = summary.cancelled || !!(signal && signal.aborted);
+            return summary.cancelled;
+        };
+
+        var report = function (entry, outcome, error) {
+
+            summary[outcome]++;
+
+            if (error) summary.errors.push({ url: entry.url, error: error });
+
+            if (typeof options.onProgress === 'function') {
+                options.onProgress({ done: summary.done, skipped: summary.skipped, failed: summary.failed, total: summary.total, url: entry.url, error: error });
+            }
+        };
+
+        var precacheEntry = function (entry) {
+
+            var entryOffline = copyObject(sharedOffline, entry.options.offline);
+            var hitReason = null;
+            var fallback = null;
+
+            var requestOptions = copyObject(entry.options, {
+                offline: copyObject(entryOffline, {
+                    strategy: 'cache-first',
+                    renew: (options.renew === true || entryOffline.renew === true),
+                    waitForStore: true,
+                    onCacheHit: function (event) {
+                        hitReason = event.reason;
+                        if (typeof entryOffline.onCacheHit === 'function') entryOffline.onCacheHit(event);
+                    },
+                    onFallback: function (event) {
+                        fallback = event.error || new Error(event.reason);
+                        if (typeof entryOffline.onFallback === 'function') entryOffline.onFallback(event);
+                    }
+                })
+            });
+
+            if (signal) requestOptions.signal = signal;
+
+            return offlineFetch(entry.url, requestOptions).then(function (res) {
+
+                // the network failed and we were given the stale cached response
+                if (fallback) return report(entry, 'failed', fallback);
+
+                if (hitReason === 'fresh') return report(entry, 'skipped');
+
+                // served from the cache without asking the server (offline etc), so the cache was not warmed
+                if (hitReason && hitReason !== 'not-modified' && hitReason !== 'refreshed') {
+                    return report(entry, 'failed', new Error('Served from cache (' + hitReason + '), not refreshed'));
+                }
+
+                // read the body so the connection is released
+                return res.arrayBuffer().catch(function () {}).then(function () {
+                    if (res.ok || res.status === 304) report(entry, 'done');
+                    else report(entry, 'failed', new Error('Request failed with status ' + res.status));
+                });
+            })
+            .catch(function (error) {
+                if (!isCancelled()) report(entry, 'failed', error);
+            });
+        };
+
+        // each worker precaches one request at a time until there are none left
+        var worker = function () {
+
+            if (next >= entries.length || isCancelled()) return Promise.resolve();
+
+            var entry = entries[next++];
+
+            return precacheEntry(entry).then(worker);
+        };
+
+        var workers = [];
+
+        for (var i = 0; i < Math.min(concurrency, entries.length); i++) {
+            workers.push(worker());
+        }
+
+        return Promise.all(workers).then(function () {
+            isCancelled();
+            return summary;
+        });
+    }
+
+    /**
+     * Starts recording every network request made with offline support (including retries and revalidation) as HAR entries
+     * @example
+     *      var recorder = offlineFetch.har.record();
+     *
+     *      // ...make requests
+     *
+     *      recorder.stop().then(function(har) {
+     *          fs.writeFileSync('fixtures/api.har', JSON.stringify(har));
+     *      });
+     * @returns {object} recorder, call .stop() to stop recording and resolve with the HAR
+     */
+    function harRecord() {
+
+        var recorder = { entries: [], pending: [] };
+
+        harRecorders.push(recorder);
+
+        return {
+            stop: function () {
+
+                var index = harRecorders.indexOf(recorder);
+
+                if (index > -1) harRecorders.splice(index, 1);
+
+                // wait for the bodies of responses still being read
+                return Promise.all(recorder.pending).then(function () {
+                    return createHar(recorder.entries);
+                });
+            }
+        };
+    }
+
+    /**
+     * Exports cached responses as a HAR (HTTP Archive)
+     * @param {object} [options] - { storage: 'localStorage', namespace: 'myapp', cacheVersion: 3, encryption: 'secret' }
+     * @returns {Promise} resolves with the HAR object
+     */
+    function harExport(options) {
+
+        var storage = getStorage(options);
+        var encryption = getEncryption(options);
+
+        return cacheKeys(options).then(function (keys) {
+            return Promise.all(keys.map(function (key) {
+                return readCachedItem(storage, key, encryption).then(function (cachedItem) {
+
+                    if (!cachedItem) return null;
+
+                    // default cache keys contain the method, e.g. offline-fetch-GET|https://...
+                    var method = (String(key).match(/([A-Z]+)\|/) || [])[1] || 'GET';
+
+                    return cachedItemToHarEntry(cachedItem, { method: method, url: cachedItem.url });
+                });
+            }));
+        })
+        .then(function (entries) {
+            return createHar(entries.filter(function (entry) {
+                return entry !== null;
+            }));
+        });
+    }
+
+    /**
+     * Seeds the cache from a HAR (or its JSON), successful responses are stored as if they had just been fetched
+     * @param {object|string|Array} har - HAR object, its JSON or an array of HAR entries
+     * @param {object} [options] - offline options used to store the responses (storage, namespace, cacheVersion, encryption etc)
+     * @example
+     *      offlineFetch.har.import(require('./fixtures/api.har'), { storage: 'localStorage' }).then(function(count) {
+     *          // count = number of responses stored
+     *      });
+     * @returns {Promise} resolves with the number of responses stored
+     */
+    function harImport(har, options) {
+
+        options = options || {};
+
+        var storage = getStorage(options);
+        var limits = { storage: storage, maxEntries: -1, maxBytes: -1, purgeAfter: -1 };
+        var codec = { encryption: getEncryption(options), compression: options.compression };
+
+        return new Promise(function (resolve) {
+            resolve(readHarEntries(har));
+        })
+        .then(function (entries) {
+
+            var responses = entries.filter(function (entry) {
+                return entry.response.status >= 200 && entry.response.status <= 299;
+            });
+
+            // entries are stored in order, so the last response recorded for a request wins
+            return responses.reduce(function (chain, entry) {
+
+                var cacheKey = getCacheKey(entry.request.url, { method: entry.request.method, offline: options });
+
+                return chain.then(function () {
+                    return storeCachedItem(storage, cacheKey, harEntryToCachedItem(entry), limits, codec);
+                });
+            }, Promise.resolve())
+            .then(function () {
+                return responses.length;
+            });
+        });
+    }
+
+    /**
+     * Adds offline support to every request a page makes (navigations, third-party code etc) by handling fetch events in a service worker.
+     * Requests use the same strategies, expiry, timeout, retry and fallback logic as offlineFetch, with responses stored in the Cache API
+     * @param {object} [options] - service worker options
+     * @param {string} [options.cacheName] - name of the Cache Storage cache to store responses in, default offline-fetch
+     * @param {function} [options.match] - called with each Request, return true to handle it (defaults to GET http/https requests)
+     * @param {object} [options.offline] - offline options used for every request (expires, timeout, retries, strategy etc)
+     * @example
+     *      // sw.js
+     *      importScripts('offline-fetch.min.js');
+     *
+     *      offlineFetch.serviceWorker({
+     *          match: function(request) {
+     *              return request.method === 'GET' && request.url.indexOf('/api/') > -1;
+     *          },
+     *          offline: { expires: 60000, timeout: 3000, retries: 2 }
+     *      });
+     * @returns {function} removes the fetch event handler
+     */
+    function serviceWorker(options) {
+
+        options = options || {};
+
+        if (typeof root.addEventListener !== 'function') throw new Error('Service worker fetch events are not supported');
+
+        var offlineOptions = copyObject({
+            storage: createCachesAdapter({ name: options.cacheName || 'offline-fetch' })
+        }, (typeof options.offline === 'object') ? options.offline : {});
+
+        var match = (typeof options.match === 'function') ? options.match : function (request) {
+            return request.method === 'GET' && /^https?:/.test(request.url);
+        };
+
+        var handler = function (event) {
+
+            var request = event.request;
+
+            // leave requests we do not handle to the browser
+            if (!match(request)) return;
+
+            // forward the body of POST etc requests (handled if match allows them) as is, GET and HEAD requests can not have one
+            var body = (request.method === 'GET' || request.method === 'HEAD') ? Promise.resolve(undefined) : request.clone().arrayBuffer();
+
+            event.respondWith(body.then(function (buffer) {
+
+                // keep the mode etc, so no-cors requests for third-party images and scripts are not refetched as cors requests
+                var init = {
+                    method: request.method,
+                    headers: request.headers,
+                    credentials: request.credentials,
+                    redirect: request.redirect,
+                    referrer: request.referrer,
+                    referrerPolicy: request.referrerPolicy,
+                    integrity: request.integrity,
+                    cache: request.cache,
+                    keepalive: request.keepalive,
+                    body: buffer,
+                    offline: offlineOptions
+                };
+
+                // a request can not be made in navigate mode, navigations use the default mode instead
+                if (request.mode !== 'navigate') init.mode = request.mode;
+
+                return offlineFetch(request.url, init);
+            })
+            .then(function (res) {
+
+                // browsers refuse redirected responses for navigations, so return a copy without the redirected flag
+                if (request.mode === 'navigate' && res.redirected) {
+                    return new Response(res.body, { status: res.status, statusText: res.statusText, headers: res.headers });
+                }
+
+                return res;
+            }));
+        };
+
+        root.addEventListener('fetch', handler);
+
+        return function () {
+            root.removeEventListener('fetch', handler);
+        };
+    }
+
+    /**
+     * Creates an independent offlineFetch function with its own defaults, storage and fetch implementation
+     * @param {object} [defaults] - offline options used by every request, merged with the offline options passed to each call
+     * @example
+     *      var apiFetch = offlineFetch.create({
+     *          storage: localforage,       // storage object or global name
+     *          fetch: customFetch,         // fetch implementation, defaults to the global fetch
+     *          timeout: 5000,
+     *          expires: 60 * 1000
+     *      });
+     *
+     *      apiFetch('https://api.example.com/users', { offline: { renew: true } }).then(function(res) {
+     *          // res contains either online request response or cached response
+     *      });
+     *
+     *      apiFetch.cache.clear();
+     * @returns {function} offlineFetch function using the defaults, with its own cache, flush and create methods
+     */
+    function create(defaults) {
+
+        defaults = copyObject(defaults);
+
+        // management options for the instance storage
+        var storageOptions = {
+            storage: defaults.storage || 'sessionStorage',
+            encryption: defaults.encryption,
+            namespace: defaults.namespace,
+            cacheVersion: defaults.cacheVersion
+        };
+
+        // merges the defaults into the offline options of a request
+        var withDefaults = function (options) {
+
+            options = options || {};
+
+            var offlineOptions = (typeof options.offline === 'object') ? options.offline : {};
+
+            return copyObject(options, { offline: copyObject(defaults, offlineOptions) });
+        };
+
+        var instance = function (url, options) {
+
+            // offline explicitly disabled, execute a regular fetch
+            if (options && options.offline === false) return (defaults.fetch || root.fetch)(url, options);
+
+            return offlineFetch(url, withDefaults(options));
+        };
+
+        instance.precache = function (manifest, options) {
+            return precache(manifest, withDefaults(options));
+        };
+
+        instance.subscribe = function (url, listener, options) {
+            return subscribe(url, listener, withDefaults(options));
+        };
+
+        instance.har = {
+            record: harRecord,
+            import: function (har, options) {
+                return harImport(har, copyObject(defaults, options));
+            },
+            export: function (options) {
+                return harExport(copyObject(storageOptions, options));
+            }
+        };
+
+        instance.flush = function (options) {
+            return flush(copyObject({ storage: storageOptions.storage, fetch: defaults.fetch }, options));
+        };
+
+        instance.create = function (overrides) {
+            return create(copyObject(defaults, overrides));
+        };
+
+        instance.cache = {
+            get: function (url, options) {
+                return cacheGet(url, withDefaults(options));
+            },
+            delete: function (url, options) {
+                return cacheDelete(url, withDefaults(options));
+            },
+            invalidate: function (pattern, options) {
+                return cacheInvalidate(pattern, copyObject(storageOptions, options));
+            },
+            keys: function (options) {
+                return cacheKeys(copyObject(storageOptions, options));
+            },
+            clear: function (options) {
+                return cacheClear(copyObject(storageOptions, options));
+            },
+            sweep: function (options) {
+                return cacheSweep(copyObject(copyObject(storageOptions, { purgeAfter: defaults.purgeAfter }), options));
+            },
+            collect: function (options) {
+                return cacheCollect(copyObject(storageOptions, options));
+            }
+        };
+
+        return instance;
+    }
+
+    /**
+     * Returns true unless the browser (navigator.onLine) or the connectivity monitor has decided we're offline
+     * @returns {boolean} true if we're online
+     */
+    function isOnline() {
+        return connectivity.online && !(root.navigator && root.navigator.onLine === false);
+    }
+
+    /**
+     * Starts monitoring connectivity with an optional heartbeat probe request and by learning from consecutive network failures.
+     * Listen for changes with offlineFetch.on('connectivity', function(event) {}), event.online is true when back online
+     * @param {object} [options] - monitor options
+     * @param {string} [options.probeUrl] - URL requested every probeInterval, a 2xx response means we're online
+     * @param {string} [options.probeMethod] - probe request method, default HEAD
+     * @param {integer} [options.probeInterval] - milliseconds between probes, default 30 seconds
+     * @param {integer} [options.probeTimeout] - milliseconds to wait for the probe before considering us offline, default 5 seconds
+     * @param {integer} [options.failureThreshold] - number of consecutive network failures before considering us offline, default 3
+     * @param {integer} [options.recheckAfter] - without a probe, milliseconds before trying the network again, default 30 seconds
+     * @param {function} [options.fetch] - fetch implementation used for the probe, defaults to the global fetch
+     * @example
+     *      var stop = offlineFetch.monitor({ probeUrl: '/ping', probeInterval: 10000 });
+     *
+     *      offlineFetch.on('connectivity', function(event) {
+     *          showBanner(event.online ? 'Back online' : 'You are offline');
+     *      });
+     * @returns {function} stops monitoring when called
+     */
+    function monitor(options) {
+
+        stopMonitor();
+
+        options = options || {};
+
+        connectivity.options = {
+            probeUrl: options.probeUrl,
+            probeMethod: options.probeMethod || 'HEAD',
+            probeInterval: parseInt(options.probeInterval || '30000', 10),
+            probeTimeout: parseInt(options.probeTimeout || '5000', 10),
+            failureThreshold: parseInt(options.failureThreshold || '3', 10),
+            recheckAfter: parseInt(options.recheckAfter || '30000', 10),
+            fetch: options.fetch
+        };
+
+        if (connectivity.options.probeUrl) {
+            connectivity.probeTimer = unrefTimer(setInterval(probeConnectivity, connectivity.options.probeInterval));
+            probeConnectivity();
+        }
+
+        return stopMonitor;
+    }
+
+    /* --- HELPERS --- */
+
+    /**
+     * Stops probing and learning from network failures, connectivity falls back to navigator.onLine
+     * @returns {void}
+     */
+    function stopMonitor() {
+
+        clearInterval(connectivity.probeTimer);
+        clearTimeout(connectivity.recheckTimer);
+
+        var wasMonitoring = !!connectivity.options;
+
+        connectivity.options = null;
+        connectivity.failures = 0;
+
+        if (wasMonitoring) setConnectivity(true, 'stopped');
+    }
+
+    /**
+     * Requests the probe URL and updates connectivity with the result
+     * @returns {Promise} resolves with true if we're online
+     */
+    function probeConnectivity() {
+
+        var options = connectivity.options;
+
+        if (!options || !options.probeUrl) return Promise.resolve(isOnline());
+
+        return fetchWithTimeout(options.probeUrl, { method: options.probeMethod }, options.probeTimeout, options.fetch).then(function (res) {
+            return res.ok;
+        }, function () {
+            return false;
+        })
+        .then(function (online) {
+
+            // monitoring stopped while we were waiting
+            if (connectivity.options === options) setConnectivity(online, 'probe');
+
+            return isOnline();
+        });
+    }
+
+    /**
+     * Records whether we're online, notifying offlineFetch.on('connectivity') listeners if it changed
+     * @param {boolean} online - true if we're online
+     * @param {string} reason - what decided it (online-event, offline-event, probe, network, network-failures, recheck or stopped)
+     * @returns {boolean} true if connectivity changed
+     */
+    function setConnectivity(online, reason) {
+
+        clearTimeout(connectivity.recheckTimer);
+
+        if (online) connectivity.failures = 0;
+
+        if (connectivity.online === online) return false;
+
+        connectivity.online = online;
+
+        emitEvent('connectivity', { online: online, reason: reason }, null, null);
+
+        // replay queued requests now we're back online
+        if (online) flush().catch(function () {});
+
+        return true;
+    }
+
+    /**
+     * Executes fetchWithTimeout, letting the connectivity monitor learn from the outcome
+     * @param {string} url - url to fetch
+     * @param {object} options - fetch options
+     * @param {integer} timeout - milliseconds to wait before aborting the request, 0 to wait forever
+     * @param {function} [fetchImpl] - fetch implementation, defaults to the global fetch
+     * @returns {Promise} resolves/rejects as fetchWithTimeout
+     */
+    function monitoredFetch(url, options, timeout, fetchImpl) {
+
+        return fetchWithTimeout(url, options, timeout, fetchImpl).then(function (res) {
+            recordNetworkResult(true);
+            return res;
+        }, function (error) {
+            if (isNetworkError(error)) recordNetworkResult(false);
+            return Promise.reject(error);
+        });
+    }
+
+    /**
+     * Counts consecutive network failures while monitoring, considering us offline once failureThreshold is reached
+     * @param {boolean} succeeded - true if the network responded
+     * @returns {void}
+     */
+    function recordNetworkResult(succeeded) {
+
+        var options = connectivity.options;
+
+        if (!options) return;
+
+        if (succeeded) {
+            setConnectivity(true, 'network');
+            return;
+        }
+
+        connectivity.failures++;
+
+        if (connectivity.failures >= options.failureThreshold && setConnectivity(false, 'network-failures') && !options.probeUrl) {
+
+            // without a probe to tell us we're back, try the network again after a while
+            connectivity.recheckTimer = unrefTimer(setTimeout(function () {
+                setConnectivity(true, 'recheck');
+            }, options.recheckAfter));
+        }
+    }
+
+    /**
+     * Stops a timer from keeping node processes alive
+     * @param {any} timer - value returned by setTimeout/setInterval
+     * @returns {any} the timer
+     */
+    function unrefTimer(timer) {
+
+        if (timer && typeof timer.unref === 'function') timer.unref();
+
+        return timer;
+    }
+
+    /**
+     * Executes a fetch, retrying it according to a retry policy if it fails or returns a retryable status code.
+     * Network errors are retried, timeouts only if policy.retryTimeouts is set (each attempt gets its own timeout),
+     * and neither is retried if policy.hasFallback is set as a cached response is available
+     * @param {string} url - url to fetch
+     * @param {object} options - fetch options
+     * @param {object} policy - { retries, retryDelay, backoff, jitter, maxDelay, statuses, retryTimeouts, timeout, deadline, shouldRetry, hasFallback, fetch }
+     * and optional onAttempt(attempt), onRetry(attempt, delay, error, response) and onTimeout(attempt) callbacks
+     * @returns {Promise} resolves with the last response received, rejects with the last error if every attempt failed
+     */
+    function fetchRetry(url, options, policy) {
+
+        var signal = options.signal;
+        var startedAt = Date.now();
+
+        return new Promise(function (resolve, reject) {
+
+            var timer = null;
+            var wrappedFetch = null;
+
+            // stop waiting to retry as soon as the caller aborts
+            var onAbort = function () {
+                clearTimeout(timer);
+                reject(createAbortError());
+            };
+
+            if (signal && typeof signal.addEventListener === 'function') {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            var finish = function (callback, value) {
+                if (signal && typeof signal.removeEventListener === 'function') {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                callback(value);
+            };
+
+            // works out if we should try again, or settle with the result of this attempt
+            var retryOrFinish = function (attempt, error, response) {
+
+                var delay = getRetryDelay(policy, attempt, response);
+                var withinDeadline = !(policy.deadline > 0) || ((Date.now() - startedAt) + delay) < policy.deadline;
+                var retry = false;
+
+                try {
+                    retry = attempt <= policy.retries && withinDeadline && !isAbortError(error) && shouldRetryAttempt(policy, error, response, attempt);
+                }
+                catch (err) {
+                    // a broken shouldRetry must not leave the request hanging, reject with its error
+                    finish(reject, err);
+                    return;
+                }
+
+                if (!retry) {
+                    if (error) finish(reject, error);
+                    else finish(resolve, response);
+                    return;
+                }
+
+                if (policy.onRetry) policy.onRetry(attempt, delay, error, response);
+
+                timer = setTimeout(function () {
+                    wrappedFetch(attempt + 1);
+                }, delay);
+            };
+
+            wrappedFetch = function (attempt) {
+
+                var remaining = (policy.deadline > 0) ? policy.deadline - (Date.now() - startedAt) : 0;
+                var attemptTimeout = policy.timeout;
+
+                // never wait beyond the deadline
+                if (policy.deadline > 0 && (!(attemptTimeout > 0) || remaining < attemptTimeout)) {
+                    attemptTimeout = Math.max(remaining, 1);
+                }
+
+                if (policy.onAttempt) policy.onAttempt(attempt);
+
+                monitoredFetch(url, options, attemptTimeout, policy.fetch).then(function (response) {
+                    retryOrFinish(attempt, null, response);
+                }, function (error) {
+                    if (policy.onTimeout && error.message === 'Promise Timed Out') policy.onTimeout(attempt);
+                    retryOrFinish(attempt, error, null);
+                });
+            };
+
+            wrappedFetch(1);
+        });
+    }
+
+    /**
+     * Default retry decision, unless the policy provides its own shouldRetry(error, response, attempt) function
+     * @param {object} policy - retry policy
+     * @param {Error} error - error thrown by the attempt, null if a response was received
+     * @param {Response} response - response received, null if the attempt failed
+     * @param {integer} attempt - number of the attempt that just finished, starting at 1
+     * @returns {boolean} true if the request should be retried
+     */
+    function shouldRetryAttempt(policy, error, response, attempt) {
+
+        if (typeof policy.shouldRetry === 'function') return policy.shouldRetry(error, response, attempt) === true;
+
+        if (response) return policy.statuses.indexOf(response.status) > -1;
+
+        var errorMessage = error.message || '';
+        var timedout = errorMessage === 'Promise Timed Out';
+
+        // a cached response is available, return it rather than keep the user waiting
+        if (policy.hasFallback && (timedout || errorMessage === 'Failed to fetch' || errorMessage === 'Network request failed')) return false;
+
+        return (timedout) ? policy.retryTimeouts : true;
+    }
+
+    /**
+     * Works out how long to wait before the next attempt: exponential backoff with jitter, or the server's Retry-After header
+     * if sent. Both are capped at maxDelay
+     * @param {object} policy - retry policy
+     * @param {integer} attempt - number of the attempt that just finished, starting at 1
+     * @param {Response} [response] - response received, if any
+     * @returns {integer} delay in milliseconds
+     */
+    function getRetryDelay(policy, attempt, response) {
+
+        var retryAfter = parseRetryAfter(response);
+
+        // the server knows best, but a far off Retry-After must not stall the request
+        if (retryAfter >= 0) return (policy.maxDelay > 0) ? Math.min(retryAfter, policy.maxDelay) : retryAfter;
+
+        // eslint-disable-next-line no-restricted-properties
+        var delay = Math.max(policy.retryDelay, 0) * Math.pow(policy.backoff, attempt - 1);
+
+        if (policy.maxDelay > 0) delay = Math.min(delay, policy.maxDelay);
+
+        if (policy.jitter > 0) delay -= delay * Math.min(policy.jitter, 1) * Math.random();
+
+        return Math.round(delay);
+    }
+
+    /**
+     * Reads the Retry-After header of a response
+     * @param {Response} [response] - response
+     * @returns {integer} milliseconds to wait, or -1 if not set/invalid
+     */
+    function parseRetryAfter(response) {
+
+        var value = (response && response.headers) ? response.headers.get('Retry-After') : null;
+
+        if (!value) return -1;
+
+        // either a number of seconds or an HTTP date
+        if (/^\s*\d+\s*$/.test(value)) return parseInt(value, 10) * 1000;
+
+        var retryAt = Date.parse(value);
+
+        return isNaN(retryAt) ? -1 : Math.max(0, retryAt - Date.now());
+    }
+
+    /**
+     * Executes fetch with its own AbortController, so the request is actually cancelled when it times out.
+     * The caller's options.signal is linked to the controller, aborting it rejects with an AbortError
+     * @param {string} url - url to fetch
+     * @param {object} options - fetch options
+     * @param {integer} timeout - milliseconds to wait before aborting the request, 0 to wait forever
+     * @param {function} [fetchImpl] - fetch implementation, defaults to the global fetch
+     * @returns {Promise} resolves with the response, rejects with 'Promise Timed Out', an AbortError or the fetch error
+     */
+    function fetchWithTimeout(url, options, timeout, fetchImpl) {
+
+        fetchImpl = fetchImpl || root.fetch;
+
+        var signal = options && options.signal;
+
+        if (signal && signal.aborted) return Promise.reject(createAbortError());
+
+        // AbortController not supported, we can only stop waiting for the response
+        if (typeof AbortController !== 'function') {
+            return (timeout > 0) ? promiseTimeout(timeout, fetchImpl(url, options)) : fetchImpl(url, options);
+        }
+
+        var controller = new AbortController();
+        var onAbort = function () {
+            controller.abort();
+        };
+
+        // stop listening once the request settles, so long lived signals do not keep every request alive
+        var removeListener = function () {
+            if (signal && typeof signal.removeEventListener === 'function') {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+
+        if (signal && typeof signal.addEventListener === 'function') {
+            signal.addEventListener('abort', onAbort);
+        }
+
+        var request = fetchImpl(url, copyObject(options, { signal: controller.signal }));
+
+        if (timeout > 0) {
+            request = promiseTimeout(timeout, request, onAbort);
+        }
+
+        return request.then(function (res) {
+            removeListener();
+            return res;
+        }, function (error) {
+            removeListener();
+            return Promise.reject((signal && signal.aborted) ? createAbortError() : error);
+        });
+    }
+
+    /**
+     * Creates the error fetch rejects with when a request is aborted
+     * @returns {Error} DOMException (or Error if not supported) named AbortError
+     */
+    function createAbortError() {
+
+        var message = 'The operation was aborted.';
+
+        if (typeof DOMException === 'function') {
+            try {
+                return new DOMException(message, 'AbortError');
+            }
+            catch (err) {
+                // DOMException is not constructable in older browsers
+            }
+        }
+
+        var error = new Error(message);
+        error.name = 'AbortError';
+
+        return error;
+    }
+
+    /**
+     * Checks if an error was caused by the caller aborting the request
+     * @param {Error} error - error thrown by fetch
+     * @returns {boolean} true if this is an AbortError
+     */
+    function isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    /**
+     * Returns a shallow copy of an object with overrides applied
+     * @param {object} source - object to copy
+     * @param {object} [overrides] - properties to set on the copy
+     * @returns {object} new object
+     */
+    function copyObject(source, overrides) {
+
+        var result = {};
+
+        [source || {}, overrides || {}].forEach(function (obj) {
+            Object.keys(obj).forEach(function (key) {
+                result[key] = obj[key];
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Sends a lifecycle event to the matching request hook (e.g. onCacheHit), offlineFetch.on listeners and the logger.
+     * Errors thrown by hooks or listeners are logged but never break the request
+     * @param {string} type - event type, e.g. cacheHit
+     * @param {object} event - event details (url, cacheKey, reason etc)
+     * @param {object} hooks - offline options of the request
+     * @param {function} logger - logger for the request, null if not logging
+     * @returns {void}
+     */
+    function emitEvent(type, event, hooks, logger) {
+
+        var hookName = 'on' + type.charAt(0).toUpperCase() + type.substr(1);
+        var callbacks = (listeners[type] || []).slice();
+
+        if (hooks && typeof hooks[hookName] === 'function') callbacks.unshift(hooks[hookName]);
+
+        event.type = type;
+
+        if (logger) logger('offlineFetch[' + type + ']' + ((event.reason) ? ' (' + event.reason + ')' : '') + ': ' + event.url, event);
+
+        callbacks.forEach(function (callback) {
+            try {
+                callback(event);
+            }
+            catch (err) {
+                if (logger) logger('offlineFetch[' + (err.message || '') + '] (' + type + ' listener failed): ' + event.url);
+            }
+        });
+    }
+
+    /**
+     * Creates empty stats
+     * @returns {object} { since, totals, byPrefix, byRoute }
+     */
+    function createStats() {
+        return { since: Date.now(), totals: createCounters(), byPrefix: {}, byRoute: {} };
+    }
+
+    /**
+     * Creates a set of stats counters
+     * @returns {object} counters, all 0
+     */
+    function createCounters() {
+        return {
+            hits: 0,
+            misses: 0,
+            staleOffline: 0,
+            staleTimeout: 0,
+            staleNetworkError: 0,
+            stores: 0,
+            storeErrors: 0,
+            retries: 0,
+            timeouts: 0,
+            networkRequests: 0,
+            networkTime: 0,
+            cacheReads: 0,
+            cacheTime: 0
+        };
+    }
+
+    /**
+     * Counts a lifecycle event (or network request) in the total, cache key prefix and route stats
+     * @param {object} groups - { prefix, route } the request belongs to
+     * @param {string} type - event type, or network once a network request has completed
+     * @param {object} event - event details { reason, duration }
+     * @returns {void}
+     */
+    function recordStat(groups, type, event) {
+
+        var counters = [stats.totals];
+
+        [['byPrefix', groups.prefix], ['byRoute', groups.route]].forEach(function (group) {
+            if (group[1]) {
+                stats[group[0]][group[1]] = stats[group[0]][group[1]] || createCounters();
+                counters.push(stats[group[0]][group[1]]);
+            }
+        });
+
+        counters.forEach(function (counter) {
+
+            if (type === 'cacheHit') {
+                counter.hits++;
+
+                if (event.reason === 'offline') counter.staleOffline++;
+
+                if (cacheOnlyHitReasons.indexOf(event.reason) > -1) {
+                    counter.cacheReads++;
+                    counter.cacheTime += event.duration;
+                }
+            }
+
+            // the network failed and a cached response was returned instead
+            if (type === 'fallback' && event.reason === 'timeout') counter.staleTimeout++;
+            if (type === 'fallback' && event.reason !== 'timeout' && event.reason !== 'aborted') counter.staleNetworkError++;
+
+            if (type === 'cacheMiss') counter.misses++;
+            if (type === 'store') counter.stores++;
+            if (type === 'storeError') counter.storeErrors++;
+            if (type === 'retry') counter.retries++;
+            if (type === 'timeout') counter.timeouts++;
+
+            if (type === 'network') {
+                counter.networkRequests++;
+                counter.networkTime += event.duration;
+            }
+        });
+    }
+
+    /**
+     * Converts stats counters into the values reported by offlineFetch.stats
+     * @param {object} counter - stats counters
+     * @returns {object} counters with average network and cache latency in milliseconds
+     */
+    function formatCounters(counter) {
+        return {
+            hits: counter.hits,
+            misses: counter.misses,
+            staleOffline: counter.staleOffline,
+            staleTimeout: counter.staleTimeout,
+            staleNetworkError: counter.staleNetworkError,
+            stores: counter.stores,
+            storeErrors: counter.storeErrors,
+            retries: counter.retries,
+            timeouts: counter.timeouts,
+            networkRequests: counter.networkRequests,
+            networkLatency: (counter.networkRequests > 0) ? Math.round(counter.networkTime / counter.networkRequests) : 0,
+            cacheLatency: (counter.cacheReads > 0) ? Math.round(counter.cacheTime / counter.cacheReads) : 0
+        };
+    }
+
+    /**
+     * Works out where request logs should go: a logger function, an object with a .log method (console, winston etc)
+     * or the console if debug is enabled
+     * @param {object} offlineOptions - offline options of the request
+     * @returns {function} called with (message, event), null if logging is disabled
+     */
+    function getLogger(offlineOptions) {
+
+        var logger = offlineOptions.logger;
+
+        if (typeof logger === 'function') return logger;
+
+        if (logger && typeof logger.log === 'function') {
+            return function (message, event) {
+                logger.log(message, event);
+            };
+        }
+
+        return (offlineOptions.debug === true) ? log : null;
+    }
+
+    /**
+     * Logs to console if its available
+     * @param {any} value - value to log to the console
+     * @returns {void}
+     */
+    function log(value) {
+        if (console && console.log) {
+            console.log(value);
+        }
+    }
+
+    /**
+     * Normalises a URL so equivalent URLs produce the same cache key (lowercase host, no default port or fragment, sorted query parameters)
+     * @param {string} url - URL to normalise
+     * @example
+     *      normaliseUrl('HTTP://Example.com:80/list?b=2&a=1#top'); // 'http://example.com/list?a=1&b=2'
+     * @returns {string} normalised URL (without the fragment if URL is not supported)
+     */
+    function normaliseUrl(url) {
+
+        var base = (root.location && root.location.href) || undefined;
+        var parsed = null;
+
+        try {
+            parsed = new URL(url, base);
+        }
+        catch (err) {
+            // URL not supported or the url is relative and we have no base, do the minimum
+            return String(url).split('#')[0];
+        }
+
+        var params = [];
+
+        parsed.searchParams.forEach(function (value, name) {
+            params.push([name, value]);
+        });
+
+        // sort by name, keeping the original order of repeated names
+        params = params.map(function (param, index) {
+            return { param: param, index: index };
+        })
+        .sort(function (a, b) {
+            if (a.param[0] === b.param[0]) return a.index - b.index;
+            return (a.param[0] < b.param[0]) ? -1 : 1;
+        })
+        .map(function (item) {
+            return encodeURIComponent(item.param[0]) + '=' + encodeURIComponent(item.param[1]);
+        });
+
+        return parsed.origin + parsed.pathname + ((params.length > 0) ? '?' + params.join('&') : '');
+    }
+
+    /**
+     * Returns the first route matching a request
+     * @param {string} url - URL of the request
+     * @param {object} [options] - fetch options
+     * @returns {object} route, null if no route matches (or offline is false)
+     */
+    function findRoute(url, options) {
+
+        if ((options && options.offline === false) || routes.length === 0) return null;
+
+        var method = String((options && options.method) || 'GET').toUpperCase();
+
+        return routes.filter(function (item) {
+            return (item.methods.length === 0 || item.methods.indexOf(method) > -1) && isRouteMatch(item, url, options);
+        })[0] || null;
+    }
+
+    /**
+     * Merges the policy of a route into the offline options of a request
+     * @param {object} [options] - fetch options
+     * @param {object} rule - route returned by findRoute
+     * @returns {object} fetch options with the route policy applied, the options passed if there is no route
+     */
+    function applyRoute(options, rule) {
+
+        if (!rule) return options;
+
+        // offline support turned off for these requests, unless the request asked for it
+        if (rule.policy === false) return (options && options.offline) ? options : copyObject(options, { offline: false });
+
+        var policy = copyObject(rule.policy);
+
+        delete policy.method;
+
+        return copyObject(options, {
+            offline: copyObject(policy, (options && typeof options.offline === 'object') ? options.offline : {})
+        });
+    }
+
+    /**
+     * Checks if a request matches the pattern of a route
+     * @param {object} rule - route { pattern, path }
+     * @param {string} url - URL of the request
+     * @param {object} [options] - fetch options
+     * @returns {boolean} true if it matches
+     */
+    function isRouteMatch(rule, url, options) {
+
+        if (typeof rule.pattern === 'function') return rule.pattern(url, options || {}) === true;
+
+        var value = String(url);
+
+        // globs starting with / match the path (and query) of the URL
+        if (rule.path) {
+            try {
+                var parsed = new URL(value, (root.location && root.location.href) || 'http://localhost');
+                value = parsed.pathname + parsed.search;
+            }
+            catch (err) {
+                // URL not supported, match the url as given
+            }
+        }
+
+        return rule.pattern.test(value);
+    }
+
+    /**
+     * Converts a URL glob into a regular expression, * matches any characters
+     * @param {string} glob - URL glob, e.g. /api/config/*
+     * @returns {RegExp} regular expression matching the whole value
+     */
+    function globToRegExp(glob) {
+
+        var source = glob.split('*').map(function (part) {
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('.*');
+
+        return new RegExp('^' + source + '$');
+    }
+
+    /**
+     * wraps a promise in a timeout, allowing the promise to reject if not resolve with a specific period of time
+     * @param {integer} ms - milliseconds to wait before rejecting promise if not resolved
+     * @param {Promise} promise to monitor
+     * @param {function} [onTimeout] - called when the promise times out (used to abort the request)
+     * @example
+     *  promiseTimeout(1000, fetch('https://courseof.life/johndoherty.json'))
+     *      .then(function(cvData){
+     *          alert(cvData);
+     *      })
+     *      .catch(function(){
+     *          alert('request either failed or timed-out');
+     *      });
+     * @returns {Promise} resolves as normal if not timed-out, otherwise rejects
+     */
+    function promiseTimeout(ms, promise, onTimeout) {
+
+        return new Promise(function (resolve, reject) {
+
+            // create a timeout to reject promise if not resolved
+            var timer = setTimeout(function () {
+                reject(new Error('Promise Timed Out'));
+                if (onTimeout) onTimeout();
+            }, ms);
+
+            promise.then(function (res) {
+                clearTimeout(timer);
+                resolve(res);
+            })
+                .catch(function (err) {
+                    clearTimeout(timer);
+                    reject(err);
+                });
+        });
+    }
+
+    /**
+     * Sends a mutating request, adding it to the outbox if we're offline, the network fails or earlier requests are still queued
+     * @param {string} url - url to fetch
+     * @param {object} options - fetch options with additional .offline.queue property
+     * @param {object} storage - storage holding the queue
+     * @param {function} [fetchImpl] - fetch implementation used to send (and later replay) the request, defaults to the global fetch
+     * @param {integer} timeout - milliseconds to wait before considering the connection offline
+     * @param {boolean} isOffline - true if the browser has told us we're offline
+     * @param {function} logger - logs queue activity if set
+     * @returns {Promise} resolves with the live response, or a 202 response if the request was queued
+     */
+    function queueFetch(url, options, storage, fetchImpl, timeout, isOffline, logger) {
+
+        return readQueue(storage).then(function (items) {
+
+            // earlier requests are still waiting, join the back of the queue to preserve order
+            if (isOffline || items.length > 0) {
+                return enqueue(url, options, storage, timeout, logger).then(function (res) {
+
+                    // we're online, so try to send what's waiting
+                    if (!isOffline) flushQueue(storage, { fetch: fetchImpl }).catch(function () {});
+
+                    return res;
+                });
+            }
+
+            return monitoredFetch(url, options, timeout, fetchImpl).then(function (res) {
+
+                if (logger) logger('offlineFetch[live]: ' + url);
+
+                return res;
+            })
+            .catch(function (error) {
+
+                if (!isNetworkError(error)) return Promise.reject(error);
+
+                return enqueue(url, options, storage, timeout, logger).catch(function () {
+                    // unable to queue this request, reject with the original error
+                    return Promise.reject(error);
+                });
+            });
+        });
+    }
+
+    /**
+     * Adds a request to the back of the outbox
+     * @param {string} url - url to fetch
+     * @param {object} options - fetch options with additional .offline.queue property
+     * @param {object} storage - storage holding the queue
+     * @param {integer} timeout - milliseconds to wait for the request when it's replayed
+     * @param {function} logger - logs queue activity if set
+     * @returns {Promise} resolves with a 202 Accepted response containing the queued item id
+     */
+    function enqueue(url, options, storage, timeout, logger) {
+
+        var queueOptions = (typeof options.offline.queue === 'object') ? options.offline.queue : {};
+        var body = options.body;
+        var bodyEncoding;
+
+        if (body !== undefined && body !== null && typeof body !== 'string') {
+
+            // URLSearchParams can be safely converted to a string, anything else (FormData, Blob etc) can not be persisted
+            if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+                body = body.toString();
+            }
+            else if (body instanceof ArrayBuffer) {
+                body = arrayBufferToBase64(body);
+                bodyEncoding = 'base64';
+            }
+            else {
+                return Promise.reject(new Error('Unable to queue request, body must be a string or ArrayBuffer'));
+            }
+        }
+
+        var item = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 8),
+            url: url,
+            method: (options.method || 'GET').toUpperCase(),
+            headers: headersToObject(options.headers),
+            body: body,
+            bodyEncoding: bodyEncoding,
+            credentials: options.credentials,
+            mode: options.mode,
+            timeout: timeout,
+            retries: (typeof queueOptions.retries === 'number') ? queueOptions.retries : -1,
+            attempts: 0,
+            queuedAt: Date.now()
+        };
+
+        return withQueueLock(storage, function () {
+            return readQueue(storage).then(function (items) {
+                items.push(item);
+                return writeQueue(storage, items);
+            });
+        })
+        .then(function () {
+
+            if (queueOptions.onSuccess || queueOptions.onFailure) {
+                queueCallbacks[item.id] = {
+                    onSuccess: queueOptions.onSuccess,
+                    onFailure: queueOptions.onFailure
+                };
+            }
+
+            if (logger) logger('offlineFetch[queued]: ' + url);
+
+            return new Response(null, {
+                status: 202,
+                statusText: 'Accepted',
+                headers: {
+                    'x-offline-queue': 'QUEUED',
+                    'x-offline-queue-id': item.id
+                }
+            });
+        });
+    }
+
+    /**
+     * Replays the requests queued in a storage one at a time, in order
+     * 2xx/3xx responses are removed from the queue, 4xx responses are treated as conflicts and removed,
+     * network errors, 408, 429 and 5xx responses stop the flush and are retried next time (until item.retries is exceeded)
+     * @param {object} storage - storage holding the queue
+     * @param {object} options - flush options containing optional onSuccess/onFailure callbacks and fetch implementation
+     * @returns {Promise} resolves with a count of sent, failed and pending requests
+     */
+    function flushQueue(storage, options) {
+
+        var result = { sent: 0, failed: 0, pending: 0 };
+
+        return withQueueLock(storage, function () {
+
+            return readQueue(storage).then(function (items) {
+
+                var replayNext = function () {
+
+                    // nothing left, or the browser has told us we're offline
+                    if (items.length === 0 || !isOnline()) {
+                        result.pending = items.length;
+                        return result;
+                    }
+
+                    var item = items[0];
+
+                    return replayItem(item, options.fetch).then(function (outcome) {
+
+                        item.attempts++;
+
+                        if (outcome.retry && (item.retries < 0 || item.attempts <= item.retries)) {
+                            // keep the item at the front of the queue and stop, later requests must wait their turn
+                            return writeQueue(storage, items).then(function () {
+                                result.pending = items.length;
+                                return result;
+                            });
+                        }
+
+                        items.shift();
+
+                        return writeQueue(storage, items).then(function () {
+
+                            if (outcome.ok) {
+                                result.sent++;
+                                notifyQueueCallback(item, options, 'onSuccess', outcome.response);
+                            }
+                            else {
+                                result.failed++;
+                                notifyQueueCallback(item, options, 'onFailure', outcome.error);
+                            }
+
+                            delete queueCallbacks[item.id];
+
+                            return replayNext();
+                        });
+                    });
+                };
+
+                return replayNext();
+            });
+        });
+    }
+
+    /**
+     * Sends a queued request and works out what should happen to it
+     * @param {object} item - queued request
+     * @param {function} [fetchImpl] - fetch implementation, defaults to the global fetch
+     * @returns {Promise} resolves with { ok, retry, response, error }
+     */
+    function replayItem(item, fetchImpl) {
+
+        var options = {
+            method: item.method,
+            headers: item.headers,
+            body: (item.bodyEncoding === 'base64') ? base64ToArrayBuffer(item.body) : item.body
+        };
+
+        if (item.credentials) options.credentials = item.credentials;
+        if (item.mode) options.mode = item.mode;
+
+        // started within the promise chain, so a request fetch throws on synchronously is handled as a failure
+        return Promise.resolve().then(function () {
+            return monitoredFetch(item.url, options, item.timeout, fetchImpl);
+        })
+        .then(function (res) {
+
+            if (res.status < 400) {
+                return { ok: true, retry: false, response: res };
+            }
+
+            var error = new Error('Queued request failed with status ' + res.status);
+            error.response = res;
+
+            // the server is struggling or asking us to slow down, try again later
+            if (res.status === 408 || res.status === 429 || res.status >= 500) {
+                return { ok: false, retry: true, response: res, error: error };
+            }
+
+            // any other 4xx is a conflict, sending it again will not help
+            return { ok: false, retry: false, response: res, error: error };
+        })
+        .catch(function (error) {
+            // only retry once we're back online, an invalid request (bad url, header etc) would block the queue forever
+            return { ok: false, retry: isNetworkError(error), error: error };
+        });
+    }
+
+    /**
+     * Calls the success/failure callback registered with the queued request and/or passed to flush
+     * @param {object} item - queued request
+     * @param {object} options - flush options
+     * @param {string} name - name of the callback, either onSuccess or onFailure
+     * @param {any} value - response or error to pass to the callback
+     * @returns {void}
+     */
+    function notifyQueueCallback(item, options, name, value) {
+
+        var callbacks = [queueCallbacks[item.id] || {}, options || {}];
+
+        callbacks.forEach(function (callback) {
+            if (typeof callback[name] === 'function') {
+                try {
+                    callback[name](value, item);
+                }
+                catch (err) {
+                    // a failing callback must not stop the queue
+                }
+            }
+        });
+    }
+
+    /**
+     * Runs a task once all previous tasks for the same storage queue have completed
+     * @param {object} storage - storage holding the queue
+     * @param {function} task - function returning a promise
+     * @returns {Promise} resolves/rejects with the result of task
+     */
+    function withQueueLock(storage, task) {
+
+        var id = getStorageId(storage);
+        var previous = queueLocks[id] || Promise.resolve();
+        var next = previous.then(task, task);
+
+        // swallow errors so the chain continues for the next task
+        queueLocks[id] = next.catch(function () {});
+
+        return next;
+    }
+
+    /**
+     * Reads the outbox from storage
+     * @param {object} storage - storage holding the queue
+     * @returns {Promise} resolves with an array of queued requests (empty if none)
+     */
+    function readQueue(storage) {
+
+        return new Promise(function (resolve) {
+            resolve(storage.getItem(queueKey));
+        })
+        .then(function (value) {
+            value = (typeof value === 'string') ? JSON.parse(value) : value;
+            return Array.isArray(value) ? value : [];
+        })
+        .catch(function () {
+            // node-localstorage returns errors if file does not exist
+            return [];
+        });
+    }
+
+    /**
+     * Writes the outbox to storage, removing the key once the queue is empty
+     * @param {object} storage - storage holding the queue
+     * @param {Array} items - queued requests
+     * @returns {Promise} resolves once the storage has been updated
+     */
+    function writeQueue(storage, items) {
+
+        return new Promise(function (resolve) {
+            if (items.length === 0) {
+                resolve(storage.removeItem(queueKey));
+            }
+            else {
+                resolve(storage.setItem(queueKey, JSON.stringify(items)));
+            }
+        });
+    }
+
+    /**
+     * Converts fetch headers (Headers instance, array of pairs or object) into a plain object that can be persisted
+     * @param {any} headers - fetch headers
+     * @returns {object} plain object of header name/values
+     */
+    function headersToObject(headers) {
+
+        var result = {};
+
+        if (!headers) return result;
+
+        if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+            headers.forEach(function (value, name) {
+                result[name] = value;
+            });
+        }
+        else if (Array.isArray(headers)) {
+            headers.forEach(function (pair) {
+                result[pair[0]] = pair[1];
+            });
+        }
+        else {
+            Object.keys(headers).forEach(function (name) {
+                result[name] = headers[name];
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Returns a string identifying a set of request headers, regardless of header name case or order
+     * @param {Headers|object|Array} [headers] - request headers
+     * @returns {string} normalised headers
+     */
+    function getHeadersKey(headers) {
+
+        var values = headersToObject(headers);
+
+        return Object.keys(values).map(function (name) {
+            return name.toLowerCase() + ':' + values[name];
+        })
+        .sort()
+        .join('\n');
+    }
+
+    /**
+     * Returns a string identifying the settings that decide if and how a response is stored
+     * @param {object} settings - store settings of a request (encryption, compression, storeHeaders etc)
+     * @returns {string} serialised settings
+     */
+    function getStoreSettingsKey(settings) {
+
+        return JSON.stringify(settings, function (name, value) {
+
+            // keys (CryptoKey etc) and functions can not be serialised, tell them apart by identity instead
+            if (typeof value === 'function' || (name === 'encryption' && value && typeof value === 'object')) {
+
+                if (settingReferences.indexOf(value) === -1) settingReferences.push(value);
+
+                return 'ref:' + settingReferences.indexOf(value);
+            }
+
+            return value;
+        });
+    }
+
+    /**
+     * Returns the prefix of cache keys for a namespace/cacheVersion, e.g. offline-fetch-myapp@3/
+     * @param {object} [options] - fetch options (.offline.namespace) or management options (.namespace)
+     * @returns {string} key prefix, offline-fetch- if neither namespace or cacheVersion are set
+     */
+    function getKeyPrefix(options) {
+
+        options = options || {};
+
+        var offlineOptions = (typeof options.offline === 'object') ? options.offline : {};
+        var namespace = offlineOptions.namespace || options.namespace || '';
+        var cacheVersion = (offlineOptions.cacheVersion !== undefined) ? offlineOptions.cacheVersion : options.cacheVersion;
+
+        cacheVersion = (cacheVersion === undefined || cacheVersion === null) ? '' : String(cacheVersion);
+
+        return (namespace || cacheVersion) ? keyPrefix + namespace + '@' + cacheVersion + '/' : keyPrefix;
+    }
+
+    /**
+     * Reads the namespace and version from a cache key (or key prefix)
+     * @param {string} key - cache key
+     * @returns {object} { name, version } or null if the key has no namespace/version
+     */
+    function getKeyNamespace(key) {
+
+        var match = String(key).substr(keyPrefix.length).match(/^([^@|/]*)@([^|/]*)\//);
+
+        return (String(key).indexOf(keyPrefix) === 0 && match) ? { name: match[1], version: match[2] } : null;
+    }
+
+    /**
+     * Removes entries cached with a previous cacheVersion in the background, once per storage/namespace/version
+     * @param {object} storage - storage object
+     * @param {object} offlineOptions - offline options of the request
+     * @returns {void}
+     */
+    function collectOldVersions(storage, offlineOptions) {
+
+        var prefix = getKeyPrefix(offlineOptions);
+        var id = getStorageId(storage) + '|' + prefix;
+
+        if (prefix === keyPrefix || collectedVersions[id]) return;
+
+        collectedVersions[id] = true;
+
+        cacheCollect(copyObject(offlineOptions, { storage: storage })).catch(function () {});
+    }
+
+    /**
+     * Upgrades a record written in an older format to the current recordSchema
+     * @param {object} cachedItem - cached item
+     * @returns {Promise} resolves with the upgraded item, rejects if it was written in a newer format we do not understand
+     */
+    function migrateCachedItem(cachedItem) {
+
+        if (!cachedItem) return Promise.resolve(cachedItem);
+
+        var schema = cachedItem.schema || 0;
+
+        if (schema > recordSchema) return Promise.reject(new Error('Cached item schema ' + schema + ' is not supported'));
+
+        while (schema < recordSchema) {
+            cachedItem = recordMigrations[schema](cachedItem);
+            schema++;
+        }
+
+        cachedItem.schema = recordSchema;
+
+        return Promise.resolve(cachedItem);
+    }
+
+    /**
+     * Returns the key used to cache a request
+     * @param {string} url - URL of the request
+     * @param {object} options - fetch options with .offline property
+     * @returns {string} cacheKeyGenerator result if provided, otherwise the method + normalised url
+     */
+    function getCacheKey(url, options) {
+
+        var offlineOptions = (options && typeof options.offline === 'object') ? options.offline : {};
+        var method = String(options.method || 'GET').toUpperCase();
+
+        // the namespace/version + method + normalised url, used as default cache key if no generator passed
+        var defaultKey = getKeyPrefix(options) + method + '|' + normaliseUrl(url);
+
+        // if cacheKeyGenerator provided, use that otherwise use the default key generated above
+        return (typeof offlineOptions.cacheKeyGenerator === 'function') ? offlineOptions.cacheKeyGenerator(url, options, defaultKey) : defaultKey;
+    }
+
+    /**
+     * Reads the request header values a response varies on (as listed in its Vary header)
+     * @param {string} vary - Vary header value, comma separated header names
+     * @param {any} headers - request headers (Headers instance, array of pairs or object)
+     * @returns {object} lowercase header names with the request value (empty string if not sent)
+     */
+    function getVaryValues(vary, headers) {
+
+        var requestHeaders = {};
+        var values = {};
+        var headerObject = headersToObject(headers);
+
+        Object.keys(headerObject).forEach(function (name) {
+            requestHeaders[name.toLowerCase()] = String(headerObject[name]).trim();
+        });
+
+        String(vary || '').split(',').forEach(function (name) {
+
+            name = name.trim().toLowerCase();
+
+            if (name) values[name] = requestHeaders[name] || '';
+        });
+
+        return values;
+    }
+
+    /**
+     * Checks if a cached item can be used for a request, based on the Vary header stored with it
+     * @param {object} cachedItem - item read from storage
+     * @param {any} headers - request headers
+     * @returns {boolean} true if the request sends the same values for every varied header
+     */
+    function isVaryMatch(cachedItem, headers) {
+
+        if (!cachedItem.vary) return true;
+
+        var storedValues = cachedItem.vary;
+        var requestValues = getVaryValues(Object.keys(storedValues).join(','), headers);
+
+        return Object.keys(storedValues).every(function (name) {
+            return storedValues[name] === requestValues[name];
+        });
+    }
+
+    /**
+     * Returns the storage to use, from either fetch options (.offline.storage) or management options (.storage)
+     * @param {object} [options] - fetch or management options
+     * @returns {object} storage object, either the one passed (adapters are wrapped), the built-in adapter or global it names (defaults to sessionStorage)
+     */
+    function getStorage(options) {
+
+        options = options || {};
+
+        var offlineOptions = (typeof options.offline === 'object') ? options.offline : {};
+        var storage = offlineOptions.storage || options.storage || 'sessionStorage';
+
+        // the built-in adapters can be used by name
+        if (storage === 'indexedDB' || storage === 'caches') {
+            namedAdapters[storage] = namedAdapters[storage] || ((storage === 'indexedDB') ? createIndexedDBAdapter() : createCachesAdapter());
+            storage = namedAdapters[storage];
+        }
+
+        if (typeof storage === 'string') return root[storage];
+
+        return (isStorageAdapter(storage)) ? adapterToStorage(storage) : storage;
+    }
+
+    /**
+     * Creates a storage adapter that keeps entries in a Cache Storage cache (available in pages, web workers and service workers).
+     * Strings are stored as the response body, binary items (nativeBinary) keep their content as the body and the rest in a header
+     * @param {object} [options] - { name: 'offline-fetch' } name of the cache
+     * @example
+     *      offlineFetch(url, { offline: { storage: offlineFetch.storage.caches({ name: 'my-app' }) } });
+     * @returns {object} storage adapter with async get, set, delete and keys
+     */
+    function createCachesAdapter(options) {
+
+        var cacheName = (options && options.name) || 'offline-fetch';
+
+        var openCache = function () {
+            if (!root.caches) return Promise.reject(new Error('Cache API not supported'));
+            return root.caches.open(cacheName);
+        };
+
+        var toUrl = function (key) {
+            return cacheStorageUrl + encodeURIComponent(key);
+        };
+
+        return {
+            get: function (key) {
+                return openCache().then(function (cache) {
+                    return cache.match(toUrl(key));
+                })
+                .then(function (res) {
+
+                    if (!res) return null;
+
+                    var item = res.headers.get('x-offline-item');
+
+                    if (!item) return res.text();
+
+                    return res.arrayBuffer().then(function (content) {
+                        return copyObject(JSON.parse(decodeURIComponent(item)), { content: content });
+                    });
+                });
+            },
+            set: function (key, value) {
+
+                var res = (typeof value === 'string') ? new Response(value) : new Response(value.content, {
+                    headers: { 'x-offline-item': encodeURIComponent(JSON.stringify(copyObject(value, { content: null }))) }
+                });
+
+                return openCache().then(function (cache) {
+                    return cache.put(toUrl(key), res);
+                });
+            },
+            delete: function (key) {
+                return openCache().then(function (cache) {
+                    return cache.delete(toUrl(key));
+                });
+            },
+            keys: function () {
+                return openCache().then(function (cache) {
+                    return cache.keys();
+                })
+                .then(function (requests) {
+                    return requests.map(function (request) {
+                        return decodeURIComponent(request.url.substr(cacheStorageUrl.length));
+                    });
+                });
+            }
+        };
+    }
+
+    /**
+     * Creates a storage adapter that keeps entries in an IndexedDB object store (available in pages and workers).
+     * Values are stored as they are, so binary content (nativeBinary) is kept as an ArrayBuffer
+     * @param {object} [options] - { name: 'offline-fetch' } name of the database
+     * @example
+     *      offlineFetch(url, { offline: { storage: offlineFetch.storage.indexedDB({ name: 'my-app' }), nativeBinary: true } });
+     * @returns {object} storage adapter with async get, set, delete and keys
+     */
+    function createIndexedDBAdapter(options) {
+
+        var dbName = (options && options.name) || 'offline-fetch';
+        var storeName = 'entries';
+        var opening = null;
+
+        var openDb = function () {
+
+            opening = opening || new Promise(function (resolve, reject) {
+
+                if (!root.indexedDB) throw new Error('IndexedDB not supported');
+
+                var request = root.indexedDB.open(dbName, 1);
+
+                request.onupgradeneeded = function () {
+                    request.result.createObjectStore(storeName);
+                };
+
+                request.onsuccess = function () {
+                    resolve(request.result);
+                };
+
+                request.onerror = function () {
+                    reject(request.error);
+                };
+            })
+            .catch(function (error) {
+                // try again next time
+                opening = null;
+                return Promise.reject(error);
+            });
+
+            return opening;
+        };
+
+        // runs a request against the object store, resolving with its result once the transaction completes
+        var run = function (mode, action) {
+            return openDb().then(function (db) {
+                return new Promise(function (resolve, reject) {
+
+                    var transaction = db.transaction(storeName, mode);
+                    var request = action(transaction.objectStore(storeName));
+
+                    transaction.oncomplete = function () {
+                        resolve(request.result);
+                    };
+
+                    transaction.onerror = function () {
+                        reject(transaction.error || request.error);
+                    };
+
+                    transaction.onabort = transaction.onerror;
+                });
+            });
+        };
+
+        return {
+            get: function (key) {
+                return run('readonly', function (store) {
+                    return store.get(key);
+                })
+                .then(function (value) {
+                    return (value === undefined) ? null : value;
+                });
+            },
+            set: function (key, value) {
+                return run('readwrite', function (store) {
+                    return store.put(value, key);
+                });
+            },
+            delete: function (key) {
+                return run('readwrite', function (store) {
+                    return store.delete(key);
+                });
+            },
+            keys: function () {
+                return run('readonly', function (store) {
+                    return store.getAllKeys();
+                });
+            }
+        };
+    }
+
+    /**
+     * Returns true if a storage object is an adapter (async get, set, delete and keys) rather than a localStorage-like storage
+     * @param {object} storage - storage object
+     * @returns {boolean} true if it's an adapter
+     */
+    function isStorageAdapter(storage) {
+        return !!storage && typeof storage.getItem !== 'function' &&
+               ['get', 'set', 'delete', 'keys'].every(function (name) {
+                   return typeof storage[name] === 'function';
+               });
+    }
+
+    /**
+     * Wraps a storage adapter in the promise based localForage API used internally, the same wrapper is returned for an adapter every time
+     * @param {object} adapter - storage adapter with async get, set, delete and keys
+     * @returns {object} storage object with getItem, setItem, removeItem and keys
+     */
+    function adapterToStorage(adapter) {
+
+        var index = adapters.indexOf(adapter);
+
+        if (index > -1) return adapterStorages[index];
+
+        var storage = {
+            getItem: function (key) {
+                return Promise.resolve(adapter.get(key)).then(function (value) {
+                    return (value === undefined) ? null : value;
+                });
+            },
+            setItem: function (key, value) {
+                return adapter.set(key, value);
+            },
+            removeItem: function (key) {
+                return adapter.delete(key);
+            },
+            keys: function () {
+                return adapter.keys();
+            }
+        };
+
+        adapters.push(adapter);
+        adapterStorages.push(storage);
+
+        return storage;
+    }
+
+    /**
+     * Returns a unique id for a storage object, used to key per storage state as storage objects can not be used as keys
+     * @param {object} storage - storage object
+     * @returns {integer} storage id
+     */
+    function getStorageId(storage) {
+
+        var id = storages.indexOf(storage);
+
+        if (id === -1) {
+            storages.push(storage);
+            id = storages.length - 1;
+        }
+
+        return id;
+    }
+
+    /**
+     * Remembers a storage used to queue requests so it's flushed when we come back online
+     * @param {string|object} storage - name of the global storage (resolved when flushed) or storage object holding the queue
+     * @param {function} [fetchImpl] - fetch implementation used to replay the requests
+     * @returns {string|integer} storage name or id
+     */
+    function registerQueueStorage(storage, fetchImpl) {
+
+        var id = (typeof storage === 'string') ? storage : getStorageId(storage);
+        var queued = queueStorages[id] || {};
+
+        queueStorages[id] = { storage: storage, fetch: fetchImpl || queued.fetch };
+
+        return id;
+    }
+
+    /**
+     * Returns the encryption key (or key provider) to use, from either fetch options (.offline.encryption) or management options (.encryption)
+     * @param {object} [options] - fetch or management options
+     * @returns {any} encryption key or function, null if cached responses are not encrypted
+     */
+    function getEncryption(options) {
+
+        options = options || {};
+
+        var offlineOptions = (typeof options.offline === 'object') ? options.offline : {};
+
+        return offlineOptions.encryption || options.encryption || null;
+    }
+
+    /**
+     * Reads and parses a cached item, supports sync and promise based storage
+     * @param {object} storage - storage object
+     * @param {string} key - cache key
+     * @param {any} [encryption] - key (or function returning a key) the item was encrypted with
+     * @returns {Promise} resolves with the cached item or null if not found (or unreadable)
+     */
+    function readCachedItem(storage, key, encryption) {
+
+        return new Promise(function (resolve) {
+            resolve(storage.getItem(key));
+        })
+        .then(function (value) {
+            return decodeCachedItem(value, encryption);
+        })
+        .catch(function () {
+            // node-localstorage returns errors if file does not exist
+            return null;
+        });
+    }
+
+    /**
+     * Writes a cached item to storage. If the storage is full, the least recently used entries are evicted and the write retried once.
+     * Once written, maxEntries/maxBytes limits are enforced and old entries periodically swept
+     * @param {object} storage - storage object
+     * @param {string} key - cache key
+     * @param {object} item - item to store
+     * @param {object} limits - { storage, maxEntries, maxBytes, purgeAfter }
+     * @param {object} [codec] - { encryption, compression } see encodeCachedItem
+     * @returns {Promise} resolves once stored, rejects if the item could not be stored
+     */
+    function storeCachedItem(storage, key, item, limits, codec) {
+
+        return encodeCachedItem(item, codec).then(function (value) {
+
+            return setStorageItem(storage, key, value).catch(function (error) {
+
+                if (!isQuotaError(error)) return Promise.reject(error);
+
+                return evictEntries(storage, getEntrySize(key, value), key).then(function () {
+                    return setStorageItem(storage, key, value);
+                });
+            });
+        })
+        .then(function () {
+
+            announce('update', key, item.url);
+
+            return (limits.maxEntries > 0 || limits.maxBytes > 0) ? enforceLimits(storage, limits) : null;
+        })
+        .then(function () {
+
+            var storageId = getStorageId(storage);
+            var lastSweep = lastSweeps[storageId] || 0;
+
+            // sweeping reads every entry, so only do it every now and then
+            if (limits.purgeAfter > 0 && (Date.now() - lastSweep) > sweepInterval) {
+                lastSweeps[storageId] = Date.now();
+                return cacheSweep(copyObject(limits, { encryption: (codec) ? codec.encryption : null }));
+            }
+
+            return null;
+        });
+    }
+
+    /**
+     * Removes the least recently used entries until the number of entries and their size are within limits
+     * @param {object} storage - storage object
+     * @param {object} limits - { storage, maxEntries, maxBytes }
+     * @returns {Promise} resolves once done
+     */
+    function enforceLimits(storage, limits) {
+
+        return readCacheEntries(storage).then(function (entries) {
+
+            var totalBytes = entries.reduce(function (total, entry) {
+                return total + entry.size;
+            }, 0);
+
+            var toRemove = [];
+
+            while (entries.length > 0 && ((limits.maxEntries > 0 && entries.length > limits.maxEntries) || (limits.maxBytes > 0 && totalBytes > limits.maxBytes))) {
+                var entry = entries.shift();
+                totalBytes -= entry.size;
+                toRemove.push(entry.key);
+            }
+
+            return Promise.all(toRemove.map(function (key) {
+                return removeStorageItem(storage, key);
+            }));
+        });
+    }
+
+    /**
+     * Removes the least recently used entries until enough space has been freed (always removes at least one entry)
+     * @param {object} storage - storage object
+     * @param {integer} bytesNeeded - approximate size of the item we're trying to store
+     * @param {string} keepKey - key of the item we're trying to store, never evicted
+     * @returns {Promise} resolves once done
+     */
+    function evictEntries(storage, bytesNeeded, keepKey) {
+
+        return readCacheEntries(storage).then(function (entries) {
+
+            var freed = 0;
+            var toRemove = [];
+
+            entries.forEach(function (entry) {
+                if (entry.key !== keepKey && (toRemove.length === 0 || freed < bytesNeeded)) {
+                    freed += entry.size;
+                    toRemove.push(entry.key);
+                }
+            });
+
+            return Promise.all(toRemove.map(function (key) {
+                return removeStorageItem(storage, key);
+            }));
+        });
+    }
+
+    /**
+     * Reads every cached entry in a storage with its size and last access time
+     * @param {object} storage - storage object
+     * @returns {Promise} resolves with an array of { key, size, accessedAt } sorted least recently used first
+     */
+    function readCacheEntries(storage) {
+
+        var id = getStorageId(storage);
+
+        return getCacheKeys(storage).then(function (keys) {
+            return Promise.all(keys.map(function (key) {
+                return new Promise(function (resolve) {
+                    resolve(storage.getItem(key));
+                })
+                .then(function (value) {
+
+                    var item = (typeof value === 'string') ? JSON.parse(value) : value;
+
+                    return {
+                        key: key,
+                        size: getEntrySize(key, value),
+                        accessedAt: accessTimes[id + '|' + key] || (item && (item.accessedAt || item.storedAt)) || 0
+                    };
+                })
+                .catch(function () {
+                    // unreadable entries are evicted first
+                    return { key: key, size: 0, accessedAt: 0 };
+                });
+            }));
+        })
+        .then(function (entries) {
+            return entries.sort(function (a, b) {
+                return a.accessedAt - b.accessedAt;
+            });
+        });
+    }
+
+    /**
+     * Returns the approximate size of a storage entry (string length, or byte length for binary content)
+     * @param {string} key - cache key
+     * @param {string|object} value - value as written to storage
+     * @returns {integer} approximate size
+     */
+    function getEntrySize(key, value) {
+
+        if (!value) return key.length;
+
+        if (typeof value === 'string') return key.length + value.length;
+
+        var content = value.content;
+        var byteLength = (content && content.byteLength) || 0;
+        var rest = {};
+
+        Object.keys(value).forEach(function (name) {
+            if (name !== 'content') rest[name] = value[name];
+        });
+
+        return key.length + byteLength + JSON.stringify(rest).length;
+    }
+
+    /**
+     * Checks if an error was thrown because the storage is full
+     * @param {Error} error - error thrown by storage.setItem
+     * @returns {boolean} true if this is a quota error
+     */
+    function isQuotaError(error) {
+
+        if (!error) return false;
+
+        return error.name === 'QuotaExceededError' ||
+               error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+               error.name === 'QUOTA_EXCEEDED_ERR' ||
+               error.code === 22 ||
+               error.code === 1014;
+    }
+
+    /**
+     * Writes an item to storage, supports sync and promise based storage
+     * @param {object} storage - storage object
+     * @param {string} key - key to write
+     * @param {string|object} value - value to write
+     * @returns {Promise} resolves once written, rejects if storage throws (e.g. quota exceeded)
+     */
+    function setStorageItem(storage, key, value) {
+        return new Promise(function (resolve) {
+            resolve(storage.setItem(key, value));
+        });
+    }
+
+    /**
+     * Removes an item from storage, supports sync and promise based storage
+     * @param {object} storage - storage object
+     * @param {string} key - key to remove
+     * @returns {Promise} resolves once removed
+     */
+    function removeStorageItem(storage, key) {
+        return new Promise(function (resolve) {
+            resolve(storage.removeItem(key));
+        })
+        .then(function () {
+            delete accessTimes[getStorageId(storage) + '|' + key];
+            announce('delete', key, null);
+        });
+    }
+
+    /**
+     * Lists the keys of every cached response in a storage, skipping the queue and other app data
+     * @param {object} storage - storage object
+     * @returns {Promise} resolves with an array of cache keys
+     */
+    function getCacheKeys(storage) {
+        return getStorageKeys(storage).then(function (keys) {
+            return keys.filter(function (key) {
+                return String(key).indexOf(keyPrefix) === 0 && key !== queueKey && String(key).indexOf(lockPrefix) !== 0;
+            });
+        });
+    }
+
+    /**
+     * Lists every key in a storage, supports the localStorage API (length/key) and promise based keys() (localForage)
+     * @param {object} storage - storage object
+     * @returns {Promise} resolves with an array of keys
+     */
+    function getStorageKeys(storage) {
+
+        return new Promise(function (resolve) {
+
+            if (typeof storage.keys === 'function') {
+                resolve(storage.keys());
+            }
+            else {
+
+                var keys = [];
+
+                for (var i = 0, l = storage.length; i < l; i++) {
+                    keys.push(storage.key(i));
+                }
+
+                resolve(keys);
+            }
+        });
+    }
+
+    /**
+     * Converts a cached item into a fetch Response object
+     * @param {object} cachedItem - item read from storage
+     * @returns {Response} response containing the cached content and x-offline-* headers
+     */
+    function cachedItemToResponse(cachedItem) {
+
+        var cachedAt = cachedItem.storedAt ? new Date(cachedItem.storedAt).toISOString() : '';
+
+        var content = cachedItem.content;
+
+        // rebuild the original bytes of binary content
+        if (cachedItem.encoding === 'base64') content = base64ToArrayBuffer(content);
+
+        // 204, 304 etc responses can not have a body, not even an empty one
+        if (nullBodyStatuses.indexOf(cachedItem.status) > -1) content = null;
+
+        var headers = {};
+
+        Object.keys(cachedItem.headers || {}).forEach(function (name) {
+            headers[name] = cachedItem.headers[name];
+        });
+
+        headers['content-type'] = cachedItem.contentType;
+        headers['x-offline-cache'] = 'HIT';
+        headers['x-offline-stored-at'] = cachedAt;
+
+        if (cachedItem.storedAt) headers.age = getCachedAge(cachedItem);
+
+        var response = new Response(content, {
+            status: cachedItem.status,
+            statusText: cachedItem.statusText,
+            headers: headers
+        });
+
+        // url and redirected can not be passed to the Response constructor, so override them where the browser allows it
+        try {
+            Object.defineProperty(response, 'url', { value: cachedItem.responseUrl || cachedItem.url || '' });
+            Object.defineProperty(response, 'redirected', { value: cachedItem.redirected === true });
+        }
+        catch (err) {
+            // properties can not be redefined, ignore
+        }
+
+        return response;
+    }
+
+    /**
+     * Opens the BroadcastChannel used to coordinate with other tabs (falls back to storage events if not supported)
+     * @returns {void}
+     */
+    function enableCrossTab() {
+
+        if (crossTabEnabled) return;
+
+        crossTabEnabled = true;
+
+        if (typeof root.BroadcastChannel !== 'function') return;
+
+        channel = new root.BroadcastChannel(channelName);
+
+        channel.onmessage = function (event) {
+
+            var message = event.data || {};
+
+            if (message.tabId !== tabId) notifySubscribers(message, true);
+        };
+
+        // do not keep node processes alive
+        if (typeof channel.unref === 'function') channel.unref();
+    }
+
+    /**
+     * Tells subscribers in this tab and (once cross-tab coordination is enabled) other tabs about a change to a cached response
+     * @param {string} type - update, delete or unlock
+     * @param {string} key - cache key
+     * @param {string} [url] - URL of the request, if known
+     * @returns {void}
+     */
+    function announce(type, key, url) {
+
+        var message = { type: type, key: key, url: url || null, tabId: tabId };
+
+        notifySubscribers(message, false);
+
+        if (channel) {
+            try {
+                channel.postMessage(message);
+            }
+            catch (err) {
+                // channel closed, other tabs will miss this change
+            }
+        }
+    }
+
+    /**
+     * Calls the subscribers of a cache key
+     * @param {object} message - { type, key, url }
+     * @param {boolean} remote - true if the change was made by another tab
+     * @returns {void}
+     */
+    function notifySubscribers(message, remote) {
+
+        (subscribers[message.key] || []).slice().forEach(function (listener) {
+            try {
+                listener({ type: message.type, url: message.url || null, cacheKey: message.key, remote: remote });
+            }
+            catch (err) {
+                // a failing subscriber must not stop the others
+            }
+        });
+    }
+
+    /**
+     * Adds a listener for changes to a cache key
+     * @param {string} key - cache key
+     * @param {function} listener - called with { type, url, cacheKey, remote }
+     * @returns {function} removes the listener
+     */
+    function addSubscriber(key, listener) {
+
+        subscribers[key] = (subscribers[key] || []).concat(listener);
+
+        return function () {
+
+            subscribers[key] = (subscribers[key] || []).filter(function (item) {
+                return item !== listener;
+            });
+
+            if (subscribers[key].length === 0) delete subscribers[key];
+        };
+    }
+
+    /**
+     * Takes the refresh lock of a cache key, unless another tab holds it. Locks expire so a closed tab can not hold one forever
+     * @param {object} storage - storage object, locks are only shared between tabs if the storage is (localStorage etc)
+     * @param {string} key - cache key
+     * @param {integer} ttl - milliseconds until the lock expires
+     * @returns {Promise} resolves true if this tab now holds the lock
+     */
+    function acquireLock(storage, key, ttl) {
+
+        var lockKey = lockPrefix + key;
+
+        return new Promise(function (resolve) {
+            resolve(storage.getItem(lockKey));
+        })
+        .then(function (value) {
+
+            var lock = parseLock(value);
+
+            if (lock && lock.owner !== tabId && lock.expiresAt > Date.now()) return false;
+
+            return setStorageItem(storage, lockKey, JSON.stringify({ owner: tabId, expiresAt: Date.now() + ttl })).then(function () {
+                return storage.getItem(lockKey);
+            })
+            .then(function (written) {
+
+                // another tab took the lock at the same time and wrote after us
+                var owner = parseLock(written);
+
+                return !!owner && owner.owner === tabId;
+            });
+        })
+        .catch(function () {
+            // locks are best effort, never stop a request because storage failed
+            return true;
+        });
+    }
+
+    /**
+     * Releases the refresh lock of a cache key (if this tab holds it) and tells waiting tabs
+     * @param {object} storage - storage object
+     * @param {string} key - cache key
+     * @returns {Promise} resolves once released
+     */
+    function releaseLock(storage, key) {
+
+        var lockKey = lockPrefix + key;
+
+        return new Promise(function (resolve) {
+            resolve(storage.getItem(lockKey));
+        })
+        .then(function (value) {
+
+            var lock = parseLock(value);
+
+            if (!lock || lock.owner !== tabId) return null;
+
+            return new Promise(function (resolve) {
+                resolve(storage.removeItem(lockKey));
+            })
+            .then(function () {
+                announce('unlock', key, null);
+            });
+        })
+        .catch(function () {
+            // the lock expires anyway
+        });
+    }
+
+    /**
+     * Parses a refresh lock read from storage
+     * @param {string} value - stored lock
+     * @returns {object} { owner, expiresAt } or null if there is no (valid) lock
+     */
+    function parseLock(value) {
+        try {
+            return (value) ? JSON.parse(value) : null;
+        }
+        catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Waits for another tab to update a cached response or release its lock
+     * @param {string} key - cache key
+     * @param {integer} timeout - maximum milliseconds to wait
+     * @returns {Promise} resolves once updated, unlocked or timed out
+     */
+    function waitForRefresh(key, timeout) {
+
+        return new Promise(function (resolve) {
+
+            var timer = null;
+            var unsubscribe = null;
+
+            var done = function () {
+                clearTimeout(timer);
+                unsubscribe();
+                resolve();
+            };
+
+            unsubscribe = addSubscriber(key, function (event) {
+                if (event.type === 'update' || event.type === 'unlock') done();
+            });
+
+            timer = setTimeout(done, timeout);
+        });
+    }
+
+    /**
+     * Answers a request from a HAR recording, matching on method, normalised url and (if recorded) the request body
+     * @param {string} url - URL of the request
+     * @param {object} options - fetch options
+     * @param {object|string|Array} har - HAR object, its JSON or an array of HAR entries
+     * @returns {Promise} resolves with the recorded response, rejects if nothing was recorded for the request
+     */
+    function replayRequest(url, options, har) {
+
+        return new Promise(function (resolve) {
+            resolve(readHarEntries(har));
+        })
+        .then(function (entries) {
+
+            var method = String(options.method || 'GET').toUpperCase();
+            var requestUrl = normaliseUrl(url);
+            var body = (typeof options.body === 'string') ? options.body : null;
+
+            var match = entries.filter(function (entry) {
+
+                var postData = entry.request.postData;
+
+                if (String(entry.request.method || 'GET').toUpperCase() !== method) return false;
+                if (normaliseUrl(entry.request.url) !== requestUrl) return false;
+
+                return (body === null || !postData || postData.text === body);
+            })[0];
+
+            if (!match) return Promise.reject(new Error('No recorded response for ' + method + ' ' + url));
+
+            var response = cachedItemToResponse(harEntryToCachedItem(match));
+
+            response.headers.set('x-offline-cache', 'REPLAY');
+
+            return response;
+        });
+    }
+
+    /**
+     * Adds a network request and its response to the active HAR recorders, once the response body has been read
+     * @param {string} url - URL of the request
+     * @param {object} options - fetch options the request was made with
+     * @param {Response} res - response received
+     * @param {integer} startedAt - time the request started in milliseconds
+     * @returns {void}
+     */
+    function recordExchange(url, options, res, startedAt) {
+
+        var recorders = harRecorders.slice();
+        var contentType = res.headers.get('Content-Type') || '';
+        var isText = isTextContentType(contentType);
+
+        var request = {
+            method: String(options.method || 'GET').toUpperCase(),
+            url: url,
+            headers: headersToObject(options.headers),
+            body: options.body,
+            startedAt: startedAt,
+            time: Date.now() - startedAt
+        };
+
+        // read within the promise chain, so a response we can not read never breaks the request being recorded
+        var reading = Promise.resolve().then(function () {
+            return (isText) ? res.clone().text() : res.clone().arrayBuffer();
+        })
+        .then(function (content) {
+
+            var entry = cachedItemToHarEntry({
+                url: url,
+                status: res.status,
+                statusText: res.statusText,
+                contentType: contentType,
+                content: (isText) ? content : arrayBufferToBase64(content),
+                encoding: (isText) ? undefined : 'base64',
+                headers: filterHeaders(res.headers, {}),
+                responseUrl: res.url
+            }, request);
+
+            recorders.forEach(function (recorder) {
+                recorder.entries.push(entry);
+            });
+        })
+        .catch(function () {
+            // body could not be read, leave it out of the recording
+        });
+
+        recorders.forEach(function (recorder) {
+            recorder.pending.push(reading);
+        });
+    }
+
+    /**
+     * Reads the entries of a HAR
+     * @param {object|string|Array} har - HAR object, its JSON or an array of HAR entries
+     * @returns {Array} HAR entries, throws if the HAR is invalid
+     */
+    function readHarEntries(har) {
+
+        var parsed = (typeof har === 'string') ? JSON.parse(har) : har;
+        var entries = (Array.isArray(parsed)) ? parsed : (parsed && parsed.log && parsed.log.entries);
+
+        if (!Array.isArray(entries)) throw new Error('Invalid HAR, expected log.entries');
+
+        return entries.filter(function (entry) {
+            return entry && entry.request && entry.response;
+        });
+    }
+
+    /**
+     * Creates a HAR (HTTP Archive 1.2) from a list of entries
+     * @param {Array} entries - HAR entries
+     * @returns {object} HAR object
+     */
+    function createHar(entries) {
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'offline-fetch', version: '@version@' },
+                entries: entries
+            }
+        };
+    }
+
+    /**
+     * Converts a cached item into a HAR entry
+     * @param {object} cachedItem - cached item (or a response read into the same shape)
+     * @param {object} request - { method, url, headers, body, startedAt, time }
+     * @returns {object} HAR entry
+     */
+    function cachedItemToHarEntry(cachedItem, request) {
+
+        var content = cachedItem.content;
+        var encoding = cachedItem.encoding;
+
+        // HAR content is text, binary is always base64 encoded
+        if (encoding === 'arraybuffer') {
+            content = arrayBufferToBase64(content);
+            encoding = 'base64';
+        }
+
+        var entry = {
+            startedDateTime: new Date(request.startedAt || cachedItem.storedAt || Date.now()).toISOString(),
+            time: request.time || 0,
+            request: {
+                method: request.method,
+                url: request.url,
+                httpVersion: 'HTTP/1.1',
+                headers: objectToHarHeaders(request.headers),
+                queryString: [],
+                cookies: [],
+                headersSize: -1,
+                bodySize: -1
+            },
+            response: {
+                status: cachedItem.status,
+                statusText: cachedItem.statusText || '',
+                httpVersion: 'HTTP/1.1',
+                headers: objectToHarHeaders(cachedItem.headers),
+                cookies: [],
+                content: {
+                    size: (content) ? String(content).length : 0,
+                    mimeType: cachedItem.contentType || '',
+                    text: (content === null || content === undefined) ? '' : String(content)
+                },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: -1
+            },
+            cache: {},
+            timings: { send: 0, wait: request.time || 0, receive: 0 }
+        };
+
+        if (encoding === 'base64') entry.response.content.encoding = 'base64';
+
+        if (typeof request.body === 'string') {
+
+            var requestType = entry.request.headers.filter(function (header) {
+                return header.name.toLowerCase() === 'content-type';
+            })[0];
+
+            entry.request.postData = { mimeType: (requestType) ? requestType.value : '', text: request.body };
+        }
+
+        return entry;
+    }
+
+    /**
+     * Converts a HAR entry into a cached item, as if the response had just been fetched
+     * @param {object} entry - HAR entry
+     * @returns {object} cached item
+     */
+    function harEntryToCachedItem(entry) {
+
+        var response = entry.response;
+        var content = response.content || {};
+        var headers = {};
+
+        (response.headers || []).forEach(function (header) {
+
+            var name = String(header.name).toLowerCase();
+
+            if (neverStoredHeaders.indexOf(name) === -1 && name.indexOf('x-offline-') !== 0) headers[name] = header.value;
+        });
+
+        var cachedItem = {
+            schema: recordSchema,
+            url: entry.request.url,
+            status: response.status,
+            statusText: response.statusText || '',
+            contentType: content.mimeType || headers['content-type'] || '',
+            content: (nullBodyStatuses.indexOf(response.status) > -1) ? null : content.text || '',
+            headers: headers,
+            storedAt: Date.now()
+        };
+
+        if (content.encoding === 'base64') cachedItem.encoding = 'base64';
+
+        return cachedItem;
+    }
+
+    /**
+     * Converts a plain object of headers into a HAR header list
+     * @param {object} [headers] - header names and values
+     * @returns {Array} [{ name, value }]
+     */
+    function objectToHarHeaders(headers) {
+        return Object.keys(headers || {}).map(function (name) {
+            return { name: name, value: String(headers[name]) };
+        });
+    }
+
+    /**
+     * Adds why a cached response was served (x-offline-reason) and brings its Age header up to date
+     * @param {Response} response - cached response
+     * @param {string} reason - fresh, stale, offline, timeout, network-error, aborted, not-modified, refreshed or cache-only
+     * @param {object} cachedItem - item the response was created from
+     * @returns {Response} the response
+     */
+    function setCacheReason(response, reason, cachedItem) {
+
+        try {
+            response.headers.set('x-offline-reason', reason);
+            if (cachedItem.storedAt) response.headers.set('age', getCachedAge(cachedItem));
+        }
+        catch (err) {
+            // headers are locked, ignore
+        }
+
+        return response;
+    }
+
+    /**
+     * Returns how long ago a cached item was stored, as an Age header value
+     * @param {object} cachedItem - cached item
+     * @returns {string} seconds since it was stored
+     */
+    function getCachedAge(cachedItem) {
+        return String(Math.max(Math.floor((Date.now() - cachedItem.storedAt) / 1000), 0));
+    }
+
+    /**
+     * Creates the error a request rejects with when its cached response is older than maxStale and the network can not be used
+     * @param {string} url - URL of the request
+     * @param {integer} maxStale - maximum age of a cached response in milliseconds
+     * @param {Error} [cause] - network error
+     * @returns {Error} error with the network error as .cause
+     */
+    function createTooStaleError(url, maxStale, cause) {
+
+        var error = new Error('Cached response for ' + url + ' is older than maxStale (' + maxStale + 'ms)');
+
+        error.name = 'StaleResponseError';
+        if (cause) error.cause = cause;
+
+        return error;
+    }
+
+    /**
+     * Converts response headers into a plain object that can be stored, applying the storeHeaders allow/deny lists
+     * set-cookie, transfer related headers (content-length, content-encoding etc) and x-offline-* headers are never stored
+     * @param {Headers} headers - response headers
+     * @param {object} storeHeaders - { allow: [], deny: [] } lists of header names
+     * @returns {object} header names (lowercase) and values
+     */
+    function filterHeaders(headers, storeHeaders) {
+
+        var result = {};
+        var allow = (storeHeaders.allow || []).map(function (name) {
+            return name.toLowerCase();
+        });
+        var deny = neverStoredHeaders.concat(storeHeaders.deny || []).map(function (name) {
+            return name.toLowerCase();
+        });
+
+        if (!headers || typeof headers.forEach !== 'function') return result;
+
+        headers.forEach(function (value, name) {
+
+            name = name.toLowerCase();
+
+            if (deny.indexOf(name) > -1 || name.indexOf('x-offline-') === 0) return;
+            if (allow.length > 0 && allow.indexOf(name) === -1) return;
+
+            result[name] = value;
+        });
+
+        return result;
+    }
+
+    /**
+     * Converts a cached item into the value written to storage
+     * Items holding an ArrayBuffer are stored as objects (storage must support it), everything else as a JSON string
+     * @param {object} cachedItem - item to store
+     * @returns {string|object} value to pass to storage.setItem
+     */
+    function serialiseCachedItem(cachedItem) {
+        return (cachedItem.encoding === 'arraybuffer') ? cachedItem : JSON.stringify(cachedItem);
+    }
+
+    /**
+     * Serialises a cached item for storage, compressing its content and/or encrypting it if requested.
+     * Encrypted items only expose storedAt, so storage limits can be enforced without the key
+     * @param {object} cachedItem - cached item
+     * @param {object} [codec] - { encryption: key or function returning a key, compression: true or { threshold } }
+     * @returns {Promise} resolves with the value to write to storage
+     */
+    function encodeCachedItem(cachedItem, codec) {
+
+        codec = codec || {};
+
+        return compressCachedItem(cachedItem, codec.compression).then(function (item) {
+
+            if (!codec.encryption) return serialiseCachedItem(item);
+
+            // binary content must be a string to be encrypted
+            if (item.encoding === 'arraybuffer') {
+                item = copyObject(item, { encoding: 'base64', content: arrayBufferToBase64(item.content) });
+            }
+
+            return encrypt(JSON.stringify(item), codec.encryption).then(function (encrypted) {
+                encrypted.storedAt = cachedItem.storedAt;
+                return JSON.stringify(encrypted);
+            });
+        });
+    }
+
+    /**
+     * Compresses the content of a cached item with gzip (zlib in node, CompressionStream in the browser) if it's longer than
+     * the compression threshold. Items are returned as is if compression is not supported or does not make them smaller
+     * @param {object} cachedItem - cached item
+     * @param {any} compression - true or { threshold: 1024 }, falsy to disable
+     * @returns {Promise} resolves with the item to store, compressed items have compression: 'gzip' and base64 content
+     */
+    function compressCachedItem(cachedItem, compression) {
+
+        var threshold = (compression && typeof compression.threshold === 'number') ? compression.threshold : compressionThreshold;
+        var content = cachedItem.content;
+
+        if (!compression || typeof content !== 'string' || content.length < threshold) return Promise.resolve(cachedItem);
+
+        return gzip(content, true).then(function (compressed) {
+
+            var encoded = (compressed) ? arrayBufferToBase64(compressed) : null;
+
+            return (encoded && encoded.length < content.length) ? copyObject(cachedItem, { compression: 'gzip', content: encoded }) : cachedItem;
+        })
+        .catch(function () {
+            return cachedItem;
+        });
+    }
+
+    /**
+     * Restores the content of an item compressed with compressCachedItem
+     * @param {object} cachedItem - cached item
+     * @returns {Promise} resolves with the item with its original content, rejects if it can not be decompressed
+     */
+    function decompressCachedItem(cachedItem) {
+
+        if (!cachedItem || cachedItem.compression !== 'gzip') return Promise.resolve(cachedItem);
+
+        return gzip(new Uint8Array(base64ToArrayBuffer(cachedItem.content)), false).then(function (content) {
+
+            if (content === null) return Promise.reject(new Error('Unable to decompress cached item, gzip is not supported'));
+
+            var item = copyObject(cachedItem, { content: content });
+
+            delete item.compression;
+
+            return item;
+        });
+    }
+
+    /**
+     * Compresses text, or decompresses bytes back to text, using gzip
+     * @param {any} data - text to compress or bytes to decompress
+     * @param {boolean} compressing - true to compress, false to decompress
+     * @returns {Promise} resolves with compressed bytes or text, null if gzip is not supported
+     */
+    function gzip(data, compressing) {
+
+        var zlib = getNodeModule('zlib');
+
+        if (zlib) {
+            return new Promise(function (resolve, reject) {
+
+                var done = function (error, result) {
+                    if (error) reject(error);
+                    else resolve((compressing) ? new Uint8Array(result) : result.toString('utf8'));
+                };
+
+                if (compressing) zlib.gzip(Buffer.from(data, 'utf8'), done);
+                else zlib.gunzip(Buffer.from(data), done);
+            });
+        }
+
+        if (typeof root.CompressionStream !== 'function' || typeof root.Blob !== 'function') return Promise.resolve(null);
+
+        var stream = new root.Blob([data]).stream().pipeThrough((compressing) ? new root.CompressionStream('gzip') : new root.DecompressionStream('gzip'));
+        var result = new Response(stream);
+
+        return (compressing) ? result.arrayBuffer().then(function (buffer) {
+            return new Uint8Array(buffer);
+        }) : result.text();
+    }
+
+    /**
+     * Parses a value read from storage, decrypting and decompressing it if needed.
+     * When encryption is enabled, unencrypted items are rejected so plain text written before it was enabled is never served
+     * @param {any} value - value read from storage
+     * @param {any} [encryption] - key (or function returning a key) the item was encrypted with
+     * @returns {Promise} resolves with the cached item (null if empty), rejects if it can not be read or decrypted
+     */
+    function decodeCachedItem(value, encryption) {
+
+        return new Promise(function (resolve) {
+            resolve(((typeof value === 'string') ? JSON.parse(value) : value) || null);
+        })
+        .then(function (item) {
+
+            if (!item) return null;
+
+            if (!item.encrypted) {
+                return (encryption) ? Promise.reject(new Error('Cached item is not encrypted')) : item;
+            }
+
+            if (!encryption) return Promise.reject(new Error('Cached item is encrypted, please provide the encryption key'));
+
+            return decrypt(item, encryption).then(function (text) {
+                return JSON.parse(text);
+            });
+        })
+        .then(decompressCachedItem)
+        .then(migrateCachedItem);
+    }
+
+    /**
+     * Encrypts text using AES-GCM with a random IV, WebCrypto in the browser and the crypto module in node
+     * @param {string} text - text to encrypt
+     * @param {any} encryption - key (or function returning a key)
+     * @returns {Promise} resolves with { encrypted: 'AES-GCM', iv, data } where iv and data (ciphertext + tag) are base64
+     */
+    function encrypt(text, encryption) {
+
+        return getEncryptionKey(encryption).then(function (key) {
+
+            var iv = getRandomBytes(12);
+
+            return aesGcm(true, key, iv, textToBytes(text)).then(function (data) {
+                return {
+                    encrypted: 'AES-GCM',
+                    iv: arrayBufferToBase64(iv),
+                    data: arrayBufferToBase64(data)
+                };
+            });
+        });
+    }
+
+    /**
+     * Decrypts an item encrypted with encrypt
+     * @param {object} item - { iv, data } as returned by encrypt
+     * @param {any} encryption - key (or function returning a key)
+     * @returns {Promise} resolves with the decrypted text, rejects if the key is wrong or the data has been tampered with
+     */
+    function decrypt(item, encryption) {
+
+        return getEncryptionKey(encryption).then(function (key) {
+            return aesGcm(false, key, new Uint8Array(base64ToArrayBuffer(item.iv)), new Uint8Array(base64ToArrayBuffer(item.data)));
+        })
+        .then(bytesToText);
+    }
+
+    /**
+     * Resolves an encryption option into key bytes (or a CryptoKey), strings are hashed with SHA-256 to create a 256 bit key
+     * @param {any} encryption - string, ArrayBuffer, typed array or CryptoKey, or a function returning one (or a promise of one)
+     * @returns {Promise} resolves with a Uint8Array (16, 24 or 32 bytes) or CryptoKey
+     */
+    function getEncryptionKey(encryption) {
+
+        return new Promise(function (resolve) {
+            resolve((typeof encryption === 'function') ? encryption() : encryption);
+        })
+        .then(function (key) {
+
+            if (typeof key === 'string') return sha256(key);
+
+            if (key && key.type === 'secret') return key;
+
+            var bytes = null;
+
+            if (key instanceof ArrayBuffer) bytes = new Uint8Array(key);
+            else if (key && ArrayBuffer.isView(key)) bytes = new Uint8Array(key.buffer, key.byteOffset, key.byteLength);
+
+            if (!bytes || [16, 24, 32].indexOf(bytes.length) === -1) {
+                return Promise.reject(new Error('Encryption key must be a string, CryptoKey or 16, 24 or 32 bytes'));
+            }
+
+            return bytes;
+        });
+    }
+
+    /**
+     * Encrypts or decrypts data with AES-GCM, the authentication tag is appended to the ciphertext (as WebCrypto does)
+     * @param {boolean} encrypting - true to encrypt, false to decrypt
+     * @param {any} key - key bytes or CryptoKey
+     * @param {Uint8Array} iv - initialisation vector
+     * @param {Uint8Array} data - plain text bytes or ciphertext + tag
+     * @returns {Promise} resolves with a Uint8Array
+     */
+    function aesGcm(encrypting, key, iv, data) {
+
+        var crypto = getNodeModule('crypto');
+
+        if (crypto && key.type !== 'secret') {
+            return new Promise(function (resolve) {
+
+                var algorithm = 'aes-' + (key.length * 8) + '-gcm';
+
+                if (encrypting) {
+                    var cipher = crypto.createCipheriv(algorithm, key, iv);
+                    resolve(new Uint8Array(Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()])));
+                    return;
+                }
+
+                var decipher = crypto.createDecipheriv(algorithm, key, iv);
+
+                decipher.setAuthTag(data.subarray(data.length - 16));
+
+                resolve(new Uint8Array(Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()])));
+            });
+        }
+
+        var subtle = root.crypto && root.crypto.subtle;
+
+        if (!subtle) return Promise.reject(new Error('Encryption not supported, WebCrypto is unavailable'));
+
+        var cryptoKey = (key.type === 'secret') ? Promise.resolve(key) : subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+        return cryptoKey.then(function (importedKey) {
+            return subtle[(encrypting) ? 'encrypt' : 'decrypt']({ name: 'AES-GCM', iv: iv }, importedKey, data);
+        })
+        .then(function (result) {
+            return new Uint8Array(result);
+        });
+    }
+
+    /**
+     * Hashes text with SHA-256
+     * @param {string} text - text to hash
+     * @returns {Promise} resolves with a 32 byte Uint8Array
+     */
+    function sha256(text) {
+
+        var crypto = getNodeModule('crypto');
+
+        if (crypto) return Promise.resolve(new Uint8Array(crypto.createHash('sha256').update(text, 'utf8').digest()));
+
+        if (!root.crypto || !root.crypto.subtle) return Promise.reject(new Error('Encryption not supported, WebCrypto is unavailable'));
+
+        return root.crypto.subtle.digest('SHA-256', textToBytes(text)).then(function (hash) {
+            return new Uint8Array(hash);
+        });
+    }
+
+    /**
+     * Returns cryptographically random bytes
+     * @param {integer} length - number of bytes
+     * @returns {Uint8Array} random bytes
+     */
+    function getRandomBytes(length) {
+
+        var crypto = getNodeModule('crypto');
+
+        if (crypto) return new Uint8Array(crypto.randomBytes(length));
+
+        return root.crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    /**
+     * Returns a built in node module, null in the browser
+     * @param {string} name - module name, e.g. crypto
+     * @returns {object} module or null
+     */
+    function getNodeModule(name) {
+
+        if (!nodeModules[name] && typeof window === 'undefined' && typeof require === 'function') {
+            // required dynamically so browser bundlers do not include node polyfills
+            // eslint-disable-next-line global-require, import/no-dynamic-require
+            nodeModules[name] = require(name);
+        }
+
+        return nodeModules[name] || null;
+    }
+
+    /**
+     * Converts text to UTF-8 bytes
+     * @param {string} text - text to convert
+     * @returns {Uint8Array} UTF-8 bytes
+     */
+    function textToBytes(text) {
+        return (typeof TextEncoder === 'function') ? new TextEncoder().encode(text) : new Uint8Array(Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * Converts UTF-8 bytes to text
+     * @param {Uint8Array} bytes - UTF-8 bytes
+     * @returns {string} text
+     */
+    function bytesToText(bytes) {
+        return (typeof TextDecoder === 'function') ? new TextDecoder().decode(bytes) : Buffer.from(bytes).toString('utf8');
+    }
+
+    /**
+     * Checks if two cached items hold the same content
+     * @param {object} a - cached item
+     * @param {object} b - cached item
+     * @returns {boolean} true if the content is identical
+     */
+    function isSameContent(a, b) {
+
+        var contentA = (a.encoding === 'arraybuffer') ? arrayBufferToBase64(a.content) : a.content;
+        var contentB = (b.encoding === 'arraybuffer') ? arrayBufferToBase64(b.content) : b.content;
+
+        return contentA === contentB;
+    }
+
+    /**
+     * Checks if a content type can be safely read as text
+     * @param {string} contentType - response content type
+     * @returns {boolean} true for text/*, JSON, XML and JavaScript content
+     */
+    function isTextContentType(contentType) {
+        return /^text\/|[/+]json|[/+]xml|\/javascript|\/x-www-form-urlencoded/i.test(contentType || '');
+    }
+
+    /**
+     * Encodes binary data as a base64 string
+     * @param {ArrayBuffer} buffer - binary data
+     * @returns {string} base64 encoded data
+     */
+    function arrayBufferToBase64(buffer) {
+
+        var bytes = new Uint8Array(buffer);
+
+        if (typeof btoa !== 'function') return Buffer.from(bytes).toString('base64');
+
+        var binary = '';
+        var chunkSize = 0x8000;
+
+        // convert in chunks to avoid exceeding the maximum number of function arguments
+        for (var i = 0, l = bytes.length; i < l; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes a base64 string into binary data
+     * @param {string} value - base64 encoded data
+     * @returns {ArrayBuffer} binary data
+     */
+    function base64ToArrayBuffer(value) {
+
+        if (typeof atob !== 'function') {
+            var buffer = Buffer.from(value, 'base64');
+            return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        }
+
+        var binary = atob(value);
+        var bytes = new Uint8Array(binary.length);
+
+        for (var i = 0, l = binary.length; i < l; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return bytes.buffer;
+    }
+
+    /**
+     * Parses a Cache-Control header into an object of directives
+     * @param {string} value - Cache-Control header value
+     * @example
+     *      parseCacheControl('public, max-age=60'); // { public: true, 'max-age': '60' }
+     * @returns {object} directive names (lowercase) with their value, or true if the directive has no value
+     */
+    function parseCacheControl(value) {
+
+        var directives = {};
+
+        String(value || '').split(',').forEach(function (part) {
+
+            var pair = part.split('=');
+            var name = pair[0].trim().toLowerCase();
+
+            if (name) {
+                directives[name] = (pair.length > 1) ? pair[1].trim().replace(/^"|"$/g, '') : true;
+            }
+        });
+
+        return directives;
+    }
+
+    /**
+     * Works out how long a response can be served from cache without revalidating, based on its headers
+     * @param {Headers} headers - response headers
+     * @param {boolean} shared - true if this is a shared cache, in which case s-maxage takes precedence
+     * @returns {integer|undefined} lifetime in milliseconds, or undefined if the server did not say
+     */
+    function getFreshnessLifetime(headers, shared) {
+
+        var cacheControl = parseCacheControl(headers.get('Cache-Control'));
+        var expiresHeader = headers.get('Expires');
+
+        // we can store it, but must check with the server before using it
+        if (cacheControl['no-cache']) return 0;
+
+        if (shared && cacheControl['s-maxage'] !== undefined) {
+            return (parseInt(cacheControl['s-maxage'], 10) || 0) * 1000;
+        }
+
+        if (cacheControl['max-age'] !== undefined) {
+            return (parseInt(cacheControl['max-age'], 10) || 0) * 1000;
+        }
+
+        if (expiresHeader) {
+
+            var expiresAt = Date.parse(expiresHeader);
+            var responseDate = Date.parse(headers.get('Date')) || Date.now();
+
+            // an invalid Expires header means the response has already expired
+            return isNaN(expiresAt) ? 0 : Math.max(0, expiresAt - responseDate);
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Returns a copy of the fetch options with If-None-Match/If-Modified-Since headers for the cached item
+     * @param {object} options - fetch options
+     * @param {object} cachedItem - item read from storage
+     * @returns {object} fetch options to use for the request (the original if there is nothing to validate)
+     */
+    function addConditionalHeaders(options, cachedItem) {
+
+        if (!cachedItem.etag && !cachedItem.lastModified) return options;
+
+        var headers = headersToObject(options.headers);
+        var headerNames = Object.keys(headers).map(function (name) {
+            return name.toLowerCase();
+        });
+
+        // the caller is already making a conditional request, leave it alone
+        if (headerNames.indexOf('if-none-match') > -1 || headerNames.indexOf('if-modified-since') > -1) return options;
+
+        if (cachedItem.etag) headers['If-None-Match'] = cachedItem.etag;
+        if (cachedItem.lastModified) headers['If-Modified-Since'] = cachedItem.lastModified;
+
+        return copyObject(options, { headers: headers });
+    }
+
+    /**
+     * Checks if a request method changes data on the server
+     * @param {string} method - request method
+     * @returns {boolean} true if POST, PUT, PATCH or DELETE
+     */
+    function isMutatingMethod(method) {
+        return ['POST', 'PUT', 'PATCH', 'DELETE'].indexOf(String(method).toUpperCase()) > -1;
+    }
+
+    /**
+     * Checks if an error was caused by the network (offline, timeout etc) rather than the request itself
+     * @param {Error} error - error thrown by fetch or promiseTimeout
+     * @returns {boolean} true if the request failed to reach the server
+     */
+    function isNetworkError(error) {
+
+        var errorMessage = (error && error.message) || '';
+
+        // fetch also rejects with a TypeError for invalid urls, headers etc, those must not be treated as being offline
+        return networkErrorMessages.indexOf(errorMessage) > -1 || (!!error && error.name === 'FetchError' && error.type === 'system');
+    }
+
+    // track browser connectivity, replaying queued requests as soon as the browser tells us we're back online
+    if (typeof root.addEventListener === 'function') {
+
+        root.addEventListener('online', function () {
+            if (!setConnectivity(true, 'online-event')) flush().catch(function () {});
+        });
+
+        root.addEventListener('offline', function () {
+            setConnectivity(false, 'offline-event');
+        });
+
+        // other tabs changed localStorage, only used if BroadcastChannel is not supported
+        root.addEventListener('storage', function (event) {
+
+            var key = String(event.key || '');
+
+            if (!crossTabEnabled || channel || key.indexOf(keyPrefix) !== 0 || key === queueKey) return;
+
+            if (key.indexOf(lockPrefix) === 0) {
+                if (event.newValue === null) notifySubscribers({ type: 'unlock', key: key.substr(lockPrefix.length) }, true);
+                return;
+            }
+
+            notifySubscribers({ type: (event.newValue === null) ? 'delete' : 'update', key: key, url: null }, true);
+        });
+    }
+
+    offlineFetch.flush = flush;
+    offlineFetch.create = create;
+    offlineFetch.precache = precache;
+    offlineFetch.serviceWorker = serviceWorker;
+    offlineFetch.storage = {
+        indexedDB: createIndexedDBAdapter,
+        caches: createCachesAdapter
+    };
+    offlineFetch.har = {
+        record: harRecord,
+        import: harImport,
+        export: harExport
+    };
+    offlineFetch.isOnline = isOnline;
+    offlineFetch.monitor = monitor;
+    offlineFetch.on = on;
+    offlineFetch.off = off;
+    offlineFetch.route = route;
+    offlineFetch.stats = getStats;
+    offlineFetch.resetStats = resetStats;
+    offlineFetch.subscribe = subscribe;
+
+    offlineFetch.cache = {
+        get: cacheGet,
+        delete: cacheDelete,
+        invalidate: cacheInvalidate,
+        keys: cacheKeys,
+        clear: cacheClear,
+        sweep: cacheSweep,
+        collect: cacheCollect
+    };
+
+    // CommonJS (Node, bundlers), otherwise a global in browsers and web/service workers (importScripts)
+    if (typeof module === 'object' && module.exports) {
         module.exports = offlineFetch;
     }
     else {
-        window.offlineFetch = offlineFetch;
+        root.offlineFetch = offlineFetch;
     }
 
 })();
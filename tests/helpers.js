@@ -8,6 +8,21 @@ function randomIntBetween(min, max) {
     return Math.floor(Math.random() * (max - min + 1) + min);
 }
 
+/**
+ * Returns a random 2xx status that can have a body (native Response throws if 204/205 are given one)
+ * @returns {integer} status between 200 and 299, excluding 204 and 205
+ */
+function randomSuccessStatus() {
+
+    var status = randomIntBetween(200, 299);
+
+    while (status === 204 || status === 205) {
+        status = randomIntBetween(200, 299);
+    }
+
+    return status;
+}
+
 /**
  * Creates a simple storage object mimicking the localStorage API
  * @returns {object} localStorage mock object
@@ -36,7 +51,144 @@ function storageMock() {
     };
 }
 
+/**
+ * Creates a storage object mimicking the promise based localForage API
+ * @returns {object} localForage mock object
+ */
+function promiseStorageMock() {
+
+    var storage = storageMock();
+
+    return {
+        setItem: function(key, value) {
+            return Promise.resolve(storage.setItem(key, value));
+        },
+        getItem: function(key) {
+            return Promise.resolve(storage.getItem(key));
+        },
+        removeItem: function(key) {
+            return Promise.resolve(storage.removeItem(key));
+        },
+        keys: function() {
+            return Promise.resolve(storage.keys());
+        }
+    };
+}
+
+/**
+ * Creates an object mimicking the Cache Storage API (global caches)
+ * @returns {object} caches mock object
+ */
+function cachesMock() {
+
+    var caches = {};
+
+    return {
+        open: function(name) {
+
+            caches[name] = caches[name] || {};
+
+            var responses = caches[name];
+
+            return Promise.resolve({
+                match: function(url) {
+                    return Promise.resolve(responses[url] ? responses[url].clone() : undefined);
+                },
+                put: function(url, res) {
+                    responses[url] = res;
+                    return Promise.resolve();
+                },
+                delete: function(url) {
+                    var found = url in responses;
+                    delete responses[url];
+                    return Promise.resolve(found);
+                },
+                keys: function() {
+                    return Promise.resolve(Object.keys(responses).map(function(url) {
+                        return { url: url };
+                    }));
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Creates an object mimicking the parts of the IndexedDB API (global indexedDB) used by the indexedDB adapter
+ * @returns {object} indexedDB mock object
+ */
+function indexedDBMock() {
+
+    var databases = {};
+
+    return {
+        open: function(name) {
+
+            var request = {};
+
+            setTimeout(function() {
+
+                var isNew = !databases[name];
+
+                databases[name] = databases[name] || {};
+
+                var stores = databases[name];
+
+                request.result = {
+                    createObjectStore: function(storeName) {
+                        stores[storeName] = {};
+                    },
+                    transaction: function(storeName) {
+
+                        var entries = stores[storeName];
+                        var transaction = {};
+
+                        // requests complete with the transaction, on a later tick
+                        var complete = function(result) {
+                            setTimeout(function() {
+                                transaction.oncomplete();
+                            }, 0);
+                            return { result: result };
+                        };
+
+                        transaction.objectStore = function() {
+                            return {
+                                get: function(key) {
+                                    return complete(entries[key]);
+                                },
+                                put: function(value, key) {
+                                    entries[key] = value;
+                                    return complete(key);
+                                },
+                                delete: function(key) {
+                                    delete entries[key];
+                                    return complete(undefined);
+                                },
+                                getAllKeys: function() {
+                                    return complete(Object.keys(entries));
+                                }
+                            };
+                        };
+
+                        return transaction;
+                    }
+                };
+
+                if (isNew) request.onupgradeneeded();
+
+                request.onsuccess();
+            }, 0);
+
+            return request;
+        }
+    };
+}
+
 module.exports = {
     randomIntBetween: randomIntBetween,
-    storageMock: storageMock
+    randomSuccessStatus: randomSuccessStatus,
+    storageMock: storageMock,
+    promiseStorageMock: promiseStorageMock,
+    cachesMock: cachesMock,
+    indexedDBMock: indexedDBMock
 };
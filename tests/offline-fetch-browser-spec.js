@@ -2,6 +2,9 @@ var offlineFetch = require('../src/offline-fetch');
 var fetch = require('fetch-reply-with');
 var cuid = require('cuid');
 var helpers = require('./helpers');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
 
 describe('offlineFetch (browser)', function () {
 
@@ -28,7 +31,7 @@ describe('offlineFetch (browser)', function () {
     it('should save response to sessionStorage by default', function(done) {
 
         var url = `http://www.${cuid.slug()}.com`;
-        var status = helpers.randomIntBetween(200, 299);
+        var status = helpers.randomSuccessStatus();
         var body = 'Great Barcode App!';
 
         // setup intercept
@@ -63,7 +66,7 @@ describe('offlineFetch (browser)', function () {
 
         var now = (new Date()).getTime();
         var url = `http://www.${cuid.slug()}.com`;
-        var status = helpers.randomIntBetween(200, 299);
+        var status = helpers.randomSuccessStatus();
         var body = String(now * 100);
 
         // setup intercept
@@ -102,7 +105,7 @@ describe('offlineFetch (browser)', function () {
 
         var now = (new Date()).getTime();
         var url = 'http://www.' + now + '.com';
-        var status = helpers.randomIntBetween(200, 299);
+        var status = helpers.randomSuccessStatus();
         var body = String(now * 100);
 
         // setup intercept
@@ -136,6 +139,316 @@ describe('offlineFetch (browser)', function () {
         });
     });
 
+    it('should handle service worker fetch events using the Cache API', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com/api/jobs`;
+        var handlers = {};
+
+        global.caches = helpers.cachesMock();
+        global.addEventListener = function(type, handler) {
+            handlers[type] = handler;
+        };
+        global.removeEventListener = function(type, handler) {
+            if (handlers[type] === handler) delete handlers[type];
+        };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('[1,2,3]', { status: 200, headers: { 'content-type': 'application/json' } }));
+        });
+
+        var cleanup = function() {
+            delete global.caches;
+            delete global.addEventListener;
+            delete global.removeEventListener;
+        };
+
+        // dispatches a fetch event, resolving with the response passed to respondWith (or null if not handled)
+        var dispatch = function(request) {
+
+            var responded = null;
+
+            handlers.fetch({
+                request: request,
+                respondWith: function(promise) {
+                    responded = promise;
+                }
+            });
+
+            return Promise.resolve(responded);
+        };
+
+        var remove = offlineFetch.serviceWorker({ offline: { expires: 60000 } });
+
+        dispatch(new Request(url)).then(function(res) {
+            expect(res.status).toEqual(200);
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            expect(sessionStorage.setItem).not.toHaveBeenCalled();
+
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            return caches.open('offline-fetch');
+        })
+        .then(function(cache) {
+            return cache.keys();
+        })
+        .then(function(keys) {
+            expect(keys.length).toEqual(1);
+            return dispatch(new Request(url));
+        })
+        .then(function(res) {
+            expect(global.fetch.calls.count()).toEqual(1);
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            return res.json();
+        })
+        .then(function(data) {
+            expect(data).toEqual([1, 2, 3]);
+            return dispatch(new Request(url, { method: 'POST', body: '{}' }));
+        })
+        .then(function(res) {
+
+            // requests that do not match are left to the browser
+            expect(res).toBeNull();
+
+            remove();
+            expect(handlers.fetch).toBeUndefined();
+
+            cleanup();
+            done();
+        })
+        .catch(function(error) {
+            cleanup();
+            done.fail(error);
+        });
+    });
+
+    it('should expose offlineFetch as a global when loaded with importScripts in a worker', function() {
+
+        var handlers = {};
+        var source = fs.readFileSync(path.join(__dirname, '../src/offline-fetch.js'), 'utf8');
+
+        // a service worker global scope has no window or module
+        var worker = {
+            caches: helpers.cachesMock(),
+            setTimeout: setTimeout,
+            clearTimeout: clearTimeout,
+            addEventListener: function(type, handler) {
+                handlers[type] = handler;
+            }
+        };
+
+        worker.self = worker;
+
+        vm.runInNewContext(source, worker);
+
+        expect(typeof worker.offlineFetch).toEqual('function');
+
+        worker.offlineFetch.serviceWorker();
+
+        expect(typeof handlers.fetch).toEqual('function');
+    });
+
+    it('should forward the binary body and mode of requests the service worker handles', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com/api`;
+        var handlers = {};
+        var responded = null;
+
+        global.caches = helpers.cachesMock();
+        global.addEventListener = function(type, handler) {
+            handlers[type] = handler;
+        };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('ok', { status: 200, headers: { 'content-type': 'text/plain' } }));
+        });
+
+        var cleanup = function() {
+            delete global.caches;
+            delete global.addEventListener;
+        };
+
+        offlineFetch.serviceWorker({
+            match: function() {
+                return true;
+            }
+        });
+
+        handlers.fetch({
+            request: new Request(url, { method: 'POST', mode: 'no-cors', body: new Uint8Array([0, 255, 128]) }),
+            respondWith: function(promise) {
+                responded = promise;
+            }
+        });
+
+        responded.then(function(res) {
+
+            var init = global.fetch.calls.mostRecent().args[1];
+
+            expect(res.status).toEqual(200);
+            expect(init.method).toEqual('POST');
+            expect(init.mode).toEqual('no-cors');
+            expect(init.redirect).toEqual('follow');
+            expect(Array.from(new Uint8Array(init.body))).toEqual([0, 255, 128]);
+            cleanup();
+            done();
+        })
+        .catch(function(error) {
+            cleanup();
+            done.fail(error);
+        });
+    });
+
+    it('should store binary responses in the Cache API without base64 encoding them', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com/logo.png`;
+        var handlers = {};
+
+        global.caches = helpers.cachesMock();
+        global.addEventListener = function(type, handler) {
+            handlers[type] = handler;
+        };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response(new Uint8Array([137, 80, 78, 71]), { status: 200, headers: { 'content-type': 'image/png' } }));
+        });
+
+        var cleanup = function() {
+            delete global.caches;
+            delete global.addEventListener;
+        };
+
+        var dispatch = function() {
+
+            var responded = null;
+
+            handlers.fetch({
+                request: new Request(url),
+                respondWith: function(promise) {
+                    responded = promise;
+                }
+            });
+
+            return responded;
+        };
+
+        offlineFetch.serviceWorker({ cacheName: 'images', offline: { expires: 60000, nativeBinary: true } });
+
+        dispatch().then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            return dispatch();
+        })
+        .then(function(res) {
+            expect(global.fetch.calls.count()).toEqual(1);
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(res.headers.get('content-type')).toEqual('image/png');
+            return res.arrayBuffer();
+        })
+        .then(function(buffer) {
+            expect(Array.from(new Uint8Array(buffer))).toEqual([137, 80, 78, 71]);
+            cleanup();
+            done();
+        })
+        .catch(function(error) {
+            cleanup();
+            done.fail(error);
+        });
+    });
+
+    it('should store responses in IndexedDB using the built-in adapter', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com/logo.png`;
+        var storage = offlineFetch.storage.indexedDB({ name: 'offline-fetch-test' });
+        var options = { offline: { storage: storage, expires: 60000, nativeBinary: true, waitForStore: true } };
+
+        global.indexedDB = helpers.indexedDBMock();
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response(new Uint8Array([137, 80, 78, 71]), { status: 200, headers: { 'content-type': 'image/png' } }));
+        });
+
+        offlineFetch(url, options).then(function() {
+            return storage.get('offline-fetch-GET|' + url);
+        })
+        .then(function(value) {
+
+            // binary content is kept as an ArrayBuffer
+            expect(value.content instanceof ArrayBuffer).toEqual(true);
+            expect(sessionStorage.setItem).not.toHaveBeenCalled();
+            return offlineFetch(url, options);
+        })
+        .then(function(res) {
+            expect(global.fetch.calls.count()).toEqual(1);
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            return res.arrayBuffer();
+        })
+        .then(function(buffer) {
+            expect(Array.from(new Uint8Array(buffer))).toEqual([137, 80, 78, 71]);
+            return offlineFetch.cache.clear({ storage: storage });
+        })
+        .then(function(removed) {
+            expect(removed).toEqual(1);
+            return storage.keys();
+        })
+        .then(function(keys) {
+            expect(keys).toEqual([]);
+            delete global.indexedDB;
+            done();
+        })
+        .catch(function(error) {
+            delete global.indexedDB;
+            done.fail(error);
+        });
+    });
+
+    it('should accept any storage adapter with async get, set, delete and keys', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var entries = {};
+
+        var adapter = {
+            get: function(key) {
+                return Promise.resolve(entries[key]);
+            },
+            set: function(key, value) {
+                entries[key] = value;
+                return Promise.resolve();
+            },
+            delete: function(key) {
+                delete entries[key];
+                return Promise.resolve();
+            },
+            keys: function() {
+                return Promise.resolve(Object.keys(entries));
+            }
+        };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('adapter', { status: 200, headers: { 'content-type': 'text/plain' } }));
+        });
+
+        offlineFetch(url, { offline: { storage: adapter, waitForStore: true } }).then(function() {
+            expect(Object.keys(entries)).toEqual(['offline-fetch-GET|' + url + '/']);
+            return offlineFetch.cache.get(url, { offline: { storage: adapter } });
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            return offlineFetch.cache.invalidate(url, { storage: adapter });
+        })
+        .then(function(removed) {
+            expect(removed).toEqual(1);
+            expect(entries).toEqual({});
+            done();
+        })
+        .catch(done.fail);
+    });
+
     // it('should return offline content when a request timesout')
     // it('should check for new content when cache expires')
     // it('should return cached content if expired but offline')
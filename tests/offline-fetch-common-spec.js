@@ -63,7 +63,7 @@ describe('offlineFetch (common)', function () {
     it('should include x-offline-cache header', function(done) {
 
         var url = `http://www.${cuid.slug()}.com`;
-        var status = helpers.randomIntBetween(200, 299);
+        var status = helpers.randomSuccessStatus();
         var body = 'Great Barcode App!';
 
         // setup intercept
@@ -91,7 +91,7 @@ describe('offlineFetch (common)', function () {
     it('should include x-offline-stored-at header', function(done) {
 
         var url = `http://www.${cuid.slug()}.com`;
-        var status = helpers.randomIntBetween(200, 299);
+        var status = helpers.randomSuccessStatus();
         var body = 'Great Barcode App!';
 
         // setup intercept
@@ -190,4 +190,2643 @@ describe('offlineFetch (common)', function () {
             done();
         }).catch(done);
     });
+
+    it('should queue mutating requests when offline and return 202', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callThrough();
+
+        global.navigator.onLine = false;
+
+        offlineFetch(url, { method: 'POST', body: '{"a":1}', offline: { queue: true } }).then(function(res) {
+            expect(res.status).toEqual(202);
+            expect(res.headers.get('x-offline-queue')).toEqual('QUEUED');
+            expect(global.fetch).not.toHaveBeenCalled();
+
+            var queue = JSON.parse(sessionStorage.getItem('offline-fetch-queue'));
+
+            expect(queue.length).toEqual(1);
+            expect(queue[0].id).toEqual(res.headers.get('x-offline-queue-id'));
+            expect(queue[0].url).toEqual(url);
+            expect(queue[0].method).toEqual('POST');
+            expect(queue[0].body).toEqual('{"a":1}');
+            done();
+        }).catch(done.fail);
+    });
+
+    it('should queue mutating requests when the network fails', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.returnValue(Promise.reject(new Error('Failed to fetch')));
+
+        offlineFetch(url, { method: 'PUT', body: 'data', offline: { queue: true } }).then(function(res) {
+            expect(res.status).toEqual(202);
+            expect(JSON.parse(sessionStorage.getItem('offline-fetch-queue')).length).toEqual(1);
+            done();
+        }).catch(done.fail);
+    });
+
+    it('should replay queued requests in order when flushed', function(done) {
+
+        var sent = [];
+        var onSuccess = jasmine.createSpy('onSuccess');
+
+        global.navigator.onLine = false;
+
+        Promise.all([
+            offlineFetch('http://www.first.com', { method: 'POST', body: '1', offline: { queue: { onSuccess: onSuccess } } }),
+            offlineFetch('http://www.second.com', { method: 'DELETE', offline: { queue: true } })
+        ])
+        .then(function() {
+
+            global.navigator.onLine = true;
+
+            spyOn(global, 'fetch').and.callFake(function(url, opts) {
+                sent.push(opts.method + ' ' + url);
+                return Promise.resolve(new Response('ok', { status: 200 }));
+            });
+
+            return offlineFetch.flush();
+        })
+        .then(function(result) {
+            expect(result).toEqual({ sent: 2, failed: 0, pending: 0 });
+            expect(sent).toEqual(['POST http://www.first.com', 'DELETE http://www.second.com']);
+            expect(onSuccess.calls.count()).toEqual(1);
+            expect(onSuccess.calls.argsFor(0)[1].url).toEqual('http://www.first.com');
+            expect(sessionStorage.getItem('offline-fetch-queue')).toBeNull();
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should drop queued requests rejected with 4xx and report them as failures', function(done) {
+
+        var onFailure = jasmine.createSpy('onFailure');
+
+        global.navigator.onLine = false;
+
+        Promise.all([
+            offlineFetch('http://www.conflict.com', { method: 'POST', body: '1', offline: { queue: true } }),
+            offlineFetch('http://www.accepted.com', { method: 'POST', body: '2', offline: { queue: true } })
+        ])
+        .then(function() {
+
+            global.navigator.onLine = true;
+
+            spyOn(global, 'fetch').and.callFake(function(url) {
+                return Promise.resolve(new Response('', { status: (url === 'http://www.conflict.com') ? 409 : 201 }));
+            });
+
+            return offlineFetch.flush({ onFailure: onFailure });
+        })
+        .then(function(result) {
+            expect(result).toEqual({ sent: 1, failed: 1, pending: 0 });
+            expect(onFailure.calls.count()).toEqual(1);
+            expect(onFailure.calls.argsFor(0)[0].response.status).toEqual(409);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should keep queued requests that fail to send until retries are exhausted', function(done) {
+
+        var onFailure = jasmine.createSpy('onFailure');
+
+        global.navigator.onLine = false;
+
+        offlineFetch('http://www.busy.com', { method: 'POST', body: '1', offline: { queue: { retries: 1 } } })
+        .then(function() {
+
+            global.navigator.onLine = true;
+
+            spyOn(global, 'fetch').and.returnValue(Promise.resolve(new Response('', { status: 503 })));
+
+            return offlineFetch.flush({ onFailure: onFailure });
+        })
+        .then(function(result) {
+            expect(result).toEqual({ sent: 0, failed: 0, pending: 1 });
+            expect(JSON.parse(sessionStorage.getItem('offline-fetch-queue'))[0].attempts).toEqual(1);
+            return offlineFetch.flush({ onFailure: onFailure });
+        })
+        .then(function(result) {
+            expect(result).toEqual({ sent: 0, failed: 1, pending: 0 });
+            expect(onFailure).toHaveBeenCalled();
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should queue binary request bodies and replay them unchanged', function(done) {
+
+        global.navigator.onLine = false;
+
+        offlineFetch('http://www.upload.com', { method: 'POST', body: new Uint8Array([0, 255, 128]).buffer, offline: { queue: true } })
+        .then(function(res) {
+
+            expect(res.status).toEqual(202);
+
+            global.navigator.onLine = true;
+
+            spyOn(global, 'fetch').and.returnValue(Promise.resolve(new Response('', { status: 201 })));
+
+            return offlineFetch.flush();
+        })
+        .then(function(result) {
+            expect(result).toEqual({ sent: 1, failed: 0, pending: 0 });
+            expect(Array.from(new Uint8Array(global.fetch.calls.mostRecent().args[1].body))).toEqual([0, 255, 128]);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should reject invalid requests rather than queue them', function(done) {
+
+        spyOn(global, 'fetch').and.returnValue(Promise.reject(new TypeError('Invalid header name')));
+
+        offlineFetch('http://www.invalid.com', { method: 'POST', body: '1', offline: { queue: true } })
+        .then(done.fail)
+        .catch(function(error) {
+            expect(error.message).toEqual('Invalid header name');
+            expect(sessionStorage.getItem('offline-fetch-queue')).toBeNull();
+            done();
+        });
+    });
+
+    it('should report queued requests that can never be sent as failures without blocking the queue', function(done) {
+
+        var onFailure = jasmine.createSpy('onFailure');
+
+        global.navigator.onLine = false;
+
+        Promise.all([
+            offlineFetch('http://www.invalid.com', { method: 'POST', body: '1', offline: { queue: true } }),
+            offlineFetch('http://www.thrown.com', { method: 'POST', body: '2', offline: { queue: true } }),
+            offlineFetch('http://www.accepted.com', { method: 'POST', body: '3', offline: { queue: true } })
+        ])
+        .then(function() {
+
+            global.navigator.onLine = true;
+
+            spyOn(global, 'fetch').and.callFake(function(url) {
+
+                if (url === 'http://www.thrown.com') throw new TypeError('Invalid URL');
+
+                return (url === 'http://www.invalid.com') ? Promise.reject(new TypeError('Invalid header name')) : Promise.resolve(new Response('', { status: 201 }));
+            });
+
+            return offlineFetch.flush({ onFailure: onFailure });
+        })
+        .then(function(result) {
+            expect(result).toEqual({ sent: 1, failed: 2, pending: 0 });
+            expect(onFailure.calls.argsFor(0)[0].message).toEqual('Invalid header name');
+            expect(onFailure.calls.argsFor(1)[0].message).toEqual('Invalid URL');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should not cache responses with Cache-Control: no-store when httpCache is enabled', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: 'secret',
+                headers: {
+                    'content-type': 'text/plain',
+                    'cache-control': 'no-store'
+                }
+            }
+        });
+
+        offlineFetch(url, { offline: { httpCache: true } }).then(function(res) {
+            return res.text();
+        })
+        .then(function() {
+            setTimeout(function() {
+                expect(sessionStorage.setItem).not.toHaveBeenCalled();
+                done();
+            }, 10);
+        })
+        .catch(done.fail);
+    });
+
+    it('should serve from cache until max-age has passed when httpCache is enabled', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: 'fresh',
+                headers: {
+                    'content-type': 'text/plain',
+                    'cache-control': 'max-age=60'
+                }
+            }
+        });
+
+        offlineFetch(url, { offline: { httpCache: true } }).then(function(res) {
+            return res.text();
+        })
+        .then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 10);
+            });
+        })
+        .then(function() {
+            var storedItem = JSON.parse(sessionStorage.setItem.calls.mostRecent().args[1]);
+
+            expect(storedItem.maxAge).toEqual(60000);
+
+            spyOn(global, 'fetch').and.callThrough();
+
+            return offlineFetch(url, { offline: { httpCache: true } });
+        })
+        .then(function(res) {
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should revalidate expired entries and return the cached body on 304', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var storedAt = Date.now() - 60000;
+
+        sessionStorage.setItem('offline-fetch-test', JSON.stringify({
+            url: url,
+            status: 200,
+            statusText: 'OK',
+            contentType: 'text/plain',
+            content: 'cached body',
+            etag: '"abc"',
+            lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT',
+            maxAge: 0,
+            storedAt: storedAt
+        }));
+
+        spyOn(global, 'fetch').and.returnValue(Promise.resolve(new Response(null, {
+            status: 304,
+            headers: { 'cache-control': 'max-age=30' }
+        })));
+
+        var options = {
+            offline: {
+                httpCache: true,
+                cacheKeyGenerator: function() {
+                    return 'offline-fetch-test';
+                }
+            }
+        };
+
+        offlineFetch(url, options).then(function(res) {
+
+            var requestHeaders = global.fetch.calls.mostRecent().args[1].headers;
+            var storedItem = JSON.parse(sessionStorage.getItem('offline-fetch-test'));
+
+            expect(requestHeaders['If-None-Match']).toEqual('"abc"');
+            expect(requestHeaders['If-Modified-Since']).toEqual('Mon, 01 Jan 2024 00:00:00 GMT');
+            expect(options.headers).toBeUndefined();
+            expect(res.status).toEqual(200);
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(storedItem.storedAt).toBeGreaterThan(storedAt);
+            expect(storedItem.maxAge).toEqual(30000);
+            return res.text();
+        })
+        .then(function(text) {
+            expect(text).toEqual('cached body');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should reject unknown strategies', function() {
+
+        return offlineFetch('http://www.orcascan.com', { offline: { strategy: 'cache-last' } }).catch(function(err) {
+            expect(err.message).toEqual('Unknown offline strategy: cache-last');
+        });
+    });
+
+    it('should reject cache-only requests that are not cached without using the network', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callThrough();
+
+        offlineFetch(url, { offline: { strategy: 'cache-only' } }).then(done.fail).catch(function(err) {
+            expect(err.message).toEqual('No cached response for ' + url);
+            expect(global.fetch).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it('should use the network for network-first requests even if the cache is fresh', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        sessionStorage.setItem('offline-fetch-test', JSON.stringify({
+            url: url,
+            status: 200,
+            statusText: 'OK',
+            contentType: 'text/plain',
+            content: 'cached',
+            storedAt: Date.now()
+        }));
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: 'live',
+                headers: {
+                    'content-type': 'text/plain'
+                }
+            }
+        });
+
+        offlineFetch(url, {
+            offline: {
+                strategy: 'network-first',
+                expires: 60000,
+                cacheKeyGenerator: function() {
+                    return 'offline-fetch-test';
+                }
+            }
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            return res.text();
+        })
+        .then(function(text) {
+            expect(text).toEqual('live');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should not read or write the cache for network-only requests', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: 'live',
+                headers: {
+                    'content-type': 'text/plain'
+                }
+            }
+        });
+
+        offlineFetch(url, { offline: { strategy: 'network-only' } }).then(function(res) {
+            return res.text();
+        })
+        .then(function(text) {
+            expect(text).toEqual('live');
+            setTimeout(function() {
+                expect(sessionStorage.getItem).not.toHaveBeenCalled();
+                expect(sessionStorage.setItem).not.toHaveBeenCalled();
+                done();
+            }, 10);
+        })
+        .catch(done.fail);
+    });
+
+    it('should return stale content immediately and notify when the background refresh has new content', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        sessionStorage.setItem('offline-fetch-test', JSON.stringify({
+            url: url,
+            status: 200,
+            statusText: 'OK',
+            contentType: 'text/plain',
+            content: 'stale',
+            storedAt: Date.now() - 60000
+        }));
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: 'updated',
+                headers: {
+                    'content-type': 'text/plain'
+                }
+            }
+        });
+
+        var onUpdate = function(res, updatedUrl) {
+            expect(updatedUrl).toEqual(url);
+            expect(JSON.parse(sessionStorage.getItem('offline-fetch-test')).content).toEqual('updated');
+            res.text().then(function(text) {
+                expect(text).toEqual('updated');
+                done();
+            });
+        };
+
+        offlineFetch(url, {
+            offline: {
+                strategy: 'stale-while-revalidate',
+                expires: 1000,
+                onUpdate: onUpdate,
+                cacheKeyGenerator: function() {
+                    return 'offline-fetch-test';
+                }
+            }
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            return res.text();
+        })
+        .then(function(text) {
+            expect(text).toEqual('stale');
+        })
+        .catch(done.fail);
+    });
+
+    it('should cache binary responses as base64 and return identical bytes', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var bytes = new Uint8Array(256);
+
+        for (var i = 0; i < bytes.length; i++) {
+            bytes[i] = i;
+        }
+
+        spyOn(global, 'fetch').and.returnValue(Promise.resolve(new Response(bytes, {
+            status: 200,
+            headers: { 'content-type': 'image/png' }
+        })));
+
+        offlineFetch(url, { offline: true }).then(function(res) {
+            return res.arrayBuffer();
+        })
+        .then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 10);
+            });
+        })
+        .then(function() {
+            var storedItem = JSON.parse(sessionStorage.setItem.calls.mostRecent().args[1]);
+
+            expect(storedItem.encoding).toEqual('base64');
+            expect(typeof storedItem.content).toEqual('string');
+
+            global.navigator.onLine = false;
+
+            return offlineFetch(url, { offline: true });
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(res.headers.get('content-type')).toEqual('image/png');
+            return res.arrayBuffer();
+        })
+        .then(function(buffer) {
+            expect(new Uint8Array(buffer)).toEqual(bytes);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should store binary responses as an ArrayBuffer when nativeBinary is set', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var bytes = new Uint8Array([0, 1, 2, 253, 254, 255]);
+
+        spyOn(global, 'fetch').and.returnValue(Promise.resolve(new Response(bytes, {
+            status: 200,
+            headers: { 'content-type': 'application/octet-stream' }
+        })));
+
+        offlineFetch(url, { offline: { nativeBinary: true } }).then(function(res) {
+            return res.arrayBuffer();
+        })
+        .then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 10);
+            });
+        })
+        .then(function() {
+            var storedItem = sessionStorage.setItem.calls.mostRecent().args[1];
+
+            expect(storedItem.encoding).toEqual('arraybuffer');
+            expect(storedItem.content instanceof ArrayBuffer).toEqual(true);
+
+            global.navigator.onLine = false;
+
+            return offlineFetch(url, { offline: { nativeBinary: true } });
+        })
+        .then(function(res) {
+            return res.blob();
+        })
+        .then(function(blob) {
+            return blob.arrayBuffer();
+        })
+        .then(function(buffer) {
+            expect(new Uint8Array(buffer)).toEqual(bytes);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should restore stored response headers on cache hits', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: '[]',
+                headers: {
+                    'content-type': 'application/json',
+                    link: '<http://www.example.com/?page=2>; rel="next"',
+                    'x-total-count': '42',
+                    'set-cookie': 'session=secret'
+                }
+            }
+        });
+
+        offlineFetch(url, { offline: true }).then(function(res) {
+            return res.text();
+        })
+        .then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 10);
+            });
+        })
+        .then(function() {
+            var storedItem = JSON.parse(sessionStorage.setItem.calls.mostRecent().args[1]);
+
+            expect(storedItem.headers['x-total-count']).toEqual('42');
+            expect(storedItem.headers['set-cookie']).toBeUndefined();
+            expect(storedItem.headers['x-offline-cache']).toBeUndefined();
+
+            global.navigator.onLine = false;
+
+            return offlineFetch(url, { offline: true });
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(res.headers.get('link')).toEqual('<http://www.example.com/?page=2>; rel="next"');
+            expect(res.headers.get('x-total-count')).toEqual('42');
+            expect(res.url).toEqual(url);
+            expect(res.redirected).toEqual(false);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should only store headers in the storeHeaders allow list', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: '[]',
+                headers: {
+                    'content-type': 'application/json',
+                    etag: '"abc"',
+                    'x-total-count': '42',
+                    'x-request-id': '123'
+                }
+            }
+        });
+
+        offlineFetch(url, { offline: { storeHeaders: { allow: ['ETag', 'X-Request-Id'], deny: ['x-request-id'] } } }).then(function(res) {
+            return res.text();
+        })
+        .then(function() {
+            setTimeout(function() {
+                var storedItem = JSON.parse(sessionStorage.setItem.calls.mostRecent().args[1]);
+
+                expect(storedItem.headers).toEqual({ etag: '"abc"' });
+                done();
+            }, 10);
+        })
+        .catch(done.fail);
+    });
+
+    it('should get and delete cached responses via offlineFetch.cache', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: 'cached',
+                headers: {
+                    'content-type': 'text/plain'
+                }
+            }
+        });
+
+        offlineFetch(url, { offline: true }).then(function(res) {
+            return res.text();
+        })
+        .then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 10);
+            });
+        })
+        .then(function() {
+            return offlineFetch.cache.get(url, { offline: true });
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            return offlineFetch.cache.delete(url, { offline: true });
+        })
+        .then(function(removed) {
+            expect(removed).toEqual(true);
+            return offlineFetch.cache.get(url, { offline: true });
+        })
+        .then(function(res) {
+            expect(res).toBeNull();
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should only list, invalidate and clear offline-fetch entries', function(done) {
+
+        var promiseStorage = helpers.promiseStorageMock();
+
+        global.promiseStorage = promiseStorage;
+
+        var seed = function(key, url) {
+            return promiseStorage.setItem(key, JSON.stringify({ url: url, status: 200, content: '', storedAt: Date.now() }));
+        };
+
+        Promise.all([
+            seed('offline-fetch-1', 'http://www.example.com/users/1'),
+            seed('offline-fetch-2', 'http://www.example.com/users/2'),
+            seed('offline-fetch-3', 'http://www.example.com/prices/1'),
+            promiseStorage.setItem('offline-fetch-queue', '[]'),
+            promiseStorage.setItem('app-settings', '{}')
+        ])
+        .then(function() {
+            return offlineFetch.cache.keys({ storage: 'promiseStorage' });
+        })
+        .then(function(keys) {
+            expect(keys.sort()).toEqual(['offline-fetch-1', 'offline-fetch-2', 'offline-fetch-3']);
+            return offlineFetch.cache.invalidate('http://www.example.com/users/', { storage: 'promiseStorage' });
+        })
+        .then(function(removed) {
+            expect(removed).toEqual(2);
+            return offlineFetch.cache.invalidate(/prices/, { storage: 'promiseStorage' });
+        })
+        .then(function(removed) {
+            expect(removed).toEqual(1);
+            return seed('offline-fetch-4', 'http://www.example.com/');
+        })
+        .then(function() {
+            return offlineFetch.cache.clear({ storage: 'promiseStorage' });
+        })
+        .then(function(removed) {
+            expect(removed).toEqual(1);
+            return promiseStorage.keys();
+        })
+        .then(function(keys) {
+            expect(keys.sort()).toEqual(['app-settings', 'offline-fetch-queue']);
+            delete global.promiseStorage;
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should evict the least recently used entries when maxEntries is exceeded', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        sessionStorage.setItem('offline-fetch-old', JSON.stringify({ url: 'http://www.old.com', status: 200, content: '', storedAt: 1, accessedAt: 1 }));
+        sessionStorage.setItem('offline-fetch-used', JSON.stringify({ url: 'http://www.used.com', status: 200, content: '', storedAt: 1, accessedAt: Date.now() }));
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: 'new',
+                headers: {
+                    'content-type': 'text/plain'
+                }
+            }
+        });
+
+        offlineFetch(url, { offline: { maxEntries: 2 } }).then(function(res) {
+            return res.text();
+        })
+        .then(function() {
+            setTimeout(function() {
+                expect(sessionStorage.getItem('offline-fetch-old')).toBeNull();
+                expect(sessionStorage.getItem('offline-fetch-used')).not.toBeNull();
+                expect(sessionStorage.keys().length).toEqual(2);
+                done();
+            }, 10);
+        })
+        .catch(done.fail);
+    });
+
+    it('should track cache hits for eviction without rewriting the cached entry', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var usedUrl = `http://www.${cuid.slug()}.com`;
+        var oldUrl = `http://www.${cuid.slug()}.com`;
+
+        sessionStorage.setItem('offline-fetch-GET|' + usedUrl + '/', JSON.stringify({ url: usedUrl, status: 200, content: 'used', storedAt: 2 }));
+        sessionStorage.setItem('offline-fetch-GET|' + oldUrl + '/', JSON.stringify({ url: oldUrl, status: 200, content: 'old', storedAt: 3 }));
+        sessionStorage.setItem.calls.reset();
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: 'new',
+                headers: {
+                    'content-type': 'text/plain'
+                }
+            }
+        });
+
+        offlineFetch(usedUrl, { offline: { maxEntries: 2 } }).then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(sessionStorage.setItem).not.toHaveBeenCalled();
+            return offlineFetch(url, { offline: { maxEntries: 2, waitForStore: true } });
+        })
+        .then(function() {
+            expect(sessionStorage.getItem('offline-fetch-GET|' + oldUrl + '/')).toBeNull();
+            expect(sessionStorage.getItem('offline-fetch-GET|' + usedUrl + '/')).not.toBeNull();
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should sweep entries older than purgeAfter', function(done) {
+
+        sessionStorage.setItem('offline-fetch-old', JSON.stringify({ url: 'http://www.old.com', status: 200, content: '', storedAt: Date.now() - 60000 }));
+        sessionStorage.setItem('offline-fetch-new', JSON.stringify({ url: 'http://www.new.com', status: 200, content: '', storedAt: Date.now() }));
+
+        offlineFetch.cache.sweep({ purgeAfter: 30000 }).then(function(removed) {
+            expect(removed).toEqual(1);
+            expect(sessionStorage.getItem('offline-fetch-old')).toBeNull();
+            expect(sessionStorage.getItem('offline-fetch-new')).not.toBeNull();
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should use the same cache key for equivalent URLs', function(done) {
+
+        var host = `http://www.${cuid.slug()}.com`;
+
+        fetch(host + '/list?b=2&a=1', {
+            replyWith: {
+                status: 200,
+                body: 'list',
+                headers: {
+                    'content-type': 'text/plain'
+                }
+            }
+        });
+
+        offlineFetch(host + '/list?b=2&a=1', { offline: true }).then(function(res) {
+            return res.text();
+        })
+        .then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 10);
+            });
+        })
+        .then(function() {
+            expect(sessionStorage.setItem.calls.mostRecent().args[0]).toEqual('offline-fetch-GET|' + host + '/list?a=1&b=2');
+            return offlineFetch.cache.get(host.toUpperCase() + '/list?a=1&b=2#top');
+        })
+        .then(function(res) {
+            expect(res).not.toBeNull();
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should not serve cached responses to requests with different Vary header values', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: 'hello',
+                headers: {
+                    'content-type': 'text/plain',
+                    vary: 'Accept-Language'
+                }
+            }
+        });
+
+        offlineFetch(url, { headers: { 'Accept-Language': 'en' }, offline: true }).then(function(res) {
+            return res.text();
+        })
+        .then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 10);
+            });
+        })
+        .then(function() {
+            var storedItem = JSON.parse(sessionStorage.setItem.calls.mostRecent().args[1]);
+
+            expect(storedItem.vary).toEqual({ 'accept-language': 'en' });
+
+            global.navigator.onLine = false;
+
+            return offlineFetch.cache.get(url, { headers: { 'accept-language': 'en' } });
+        })
+        .then(function(res) {
+            expect(res).not.toBeNull();
+            return offlineFetch(url, { headers: { 'Accept-Language': 'fr' }, offline: { strategy: 'cache-only' } });
+        })
+        .then(done.fail)
+        .catch(function(err) {
+            expect(err.message).toEqual('No cached response for ' + url);
+            done();
+        });
+    });
+
+    it('should abort the underlying request when it times out', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var requestSignal = null;
+
+        spyOn(global, 'fetch').and.callFake(function(fetchUrl, opts) {
+            requestSignal = opts.signal;
+            return new Promise(function() {});
+        });
+
+        offlineFetch(url, { offline: { timeout: 20 } }).then(done.fail).catch(function(err) {
+            expect(err.message).toEqual('Promise Timed Out');
+            expect(requestSignal.aborted).toEqual(true);
+            done();
+        });
+    });
+
+    it('should reject with an AbortError without retrying when the caller aborts', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var controller = new AbortController();
+
+        spyOn(global, 'fetch').and.callFake(function(fetchUrl, opts) {
+            // abort once the request is in flight
+            setTimeout(function() {
+                controller.abort();
+            }, 10);
+
+            return new Promise(function(resolve, reject) {
+                opts.signal.addEventListener('abort', function() {
+                    reject(new Error('aborted'));
+                });
+            });
+        });
+
+        offlineFetch(url, { signal: controller.signal, offline: { retries: 3 } }).then(done.fail).catch(function(err) {
+            expect(err.name).toEqual('AbortError');
+            expect(global.fetch.calls.count()).toEqual(1);
+            done();
+        });
+    });
+
+    it('should stop listening to the caller signal once the request succeeds', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var controller = new AbortController();
+
+        spyOn(controller.signal, 'addEventListener').and.callThrough();
+        spyOn(controller.signal, 'removeEventListener').and.callThrough();
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: 'ok'
+            }
+        });
+
+        offlineFetch(url, { signal: controller.signal, offline: true }).then(function(res) {
+            var listener = controller.signal.addEventListener.calls.mostRecent().args[1];
+            expect(res.status).toEqual(200);
+            expect(controller.signal.removeEventListener).toHaveBeenCalledWith('abort', listener);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should return the cached response when the caller aborts and fallbackOnAbort is set', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var controller = new AbortController();
+
+        sessionStorage.setItem('offline-fetch-test', JSON.stringify({
+            url: url,
+            status: 200,
+            statusText: 'OK',
+            contentType: 'text/plain',
+            content: 'cached',
+            storedAt: Date.now()
+        }));
+
+        controller.abort();
+
+        offlineFetch(url, {
+            signal: controller.signal,
+            offline: {
+                renew: true,
+                fallbackOnAbort: true,
+                cacheKeyGenerator: function() {
+                    return 'offline-fetch-test';
+                }
+            }
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            return res.text();
+        })
+        .then(function(text) {
+            expect(text).toEqual('cached');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should retry retryable status codes with backoff and cache the final response', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var statuses = [503, 502, 200];
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('ok', {
+                status: statuses.shift(),
+                headers: { 'content-type': 'text/plain' }
+            }));
+        });
+
+        offlineFetch(url, { offline: { retries: 3, retryDelay: 5, retryBackoff: 2, retryJitter: 0.5 } }).then(function(res) {
+            expect(res.status).toEqual(200);
+            expect(global.fetch.calls.count()).toEqual(3);
+            return res.text();
+        })
+        .then(function() {
+            setTimeout(function() {
+                expect(sessionStorage.setItem).toHaveBeenCalled();
+                done();
+            }, 10);
+        })
+        .catch(done.fail);
+    });
+
+    it('should honour the Retry-After header', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var responses = [
+            new Response('', { status: 429, headers: { 'retry-after': '0' } }),
+            new Response('ok', { status: 200, headers: { 'content-type': 'text/plain' } })
+        ];
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(responses.shift());
+        });
+
+        // a retryDelay of a minute would time the test out if Retry-After was ignored
+        offlineFetch(url, { offline: { retries: 1, retryDelay: 60000 } }).then(function(res) {
+            expect(res.status).toEqual(200);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should cap the Retry-After delay at retryMaxDelay', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var responses = [
+            new Response('', { status: 503, headers: { 'retry-after': '3600' } }),
+            new Response('ok', { status: 200, headers: { 'content-type': 'text/plain' } })
+        ];
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(responses.shift());
+        });
+
+        // waiting the hour the server asked for would time the test out
+        offlineFetch(url, { offline: { retries: 1, retryMaxDelay: 10 } }).then(function(res) {
+            expect(res.status).toEqual(200);
+            expect(global.fetch.calls.count()).toEqual(2);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should return the last response once retries are exhausted', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('', { status: 503 }));
+        });
+
+        offlineFetch(url, { offline: { retries: 2, retryDelay: 1 } }).then(function(res) {
+            expect(res.status).toEqual(503);
+            expect(global.fetch.calls.count()).toEqual(3);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should retry timeouts when retryTimeouts is set', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var calls = 0;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+
+            calls++;
+
+            // first attempt hangs
+            if (calls === 1) return new Promise(function() {});
+
+            return Promise.resolve(new Response('ok', { status: 200, headers: { 'content-type': 'text/plain' } }));
+        });
+
+        offlineFetch(url, { offline: { timeout: 20, retries: 1, retryDelay: 1, retryTimeouts: true } }).then(function(res) {
+            expect(res.status).toEqual(200);
+            expect(calls).toEqual(2);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should let shouldRetry decide and stop at the retry deadline', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var shouldRetry = jasmine.createSpy('shouldRetry').and.returnValue(true);
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('', { status: 418 }));
+        });
+
+        offlineFetch(url, { offline: { retries: 10, retryDelay: 30, retryDeadline: 50, shouldRetry: shouldRetry } }).then(function(res) {
+            expect(res.status).toEqual(418);
+            expect(shouldRetry.calls.argsFor(0)[0]).toBeNull();
+            expect(shouldRetry.calls.argsFor(0)[1].status).toEqual(418);
+            expect(shouldRetry.calls.argsFor(0)[2]).toEqual(1);
+            expect(global.fetch.calls.count()).toBeLessThan(10);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should reject with the error thrown by shouldRetry', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('', { status: 503 }));
+        });
+
+        var shouldRetry = function() {
+            throw new Error('boom');
+        };
+
+        offlineFetch(url, { offline: { retries: 2, retryDelay: 1, shouldRetry: shouldRetry } })
+        .then(done.fail)
+        .catch(function(error) {
+            expect(error.message).toEqual('boom');
+            expect(global.fetch.calls.count()).toEqual(1);
+            done();
+        });
+    });
+
+    it('should call lifecycle hooks with the url, cache key, reason, attempt and timing', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var events = [];
+        var record = function(event) {
+            events.push(event);
+        };
+        var options = {
+            offline: {
+                expires: 60000,
+                onCacheHit: record,
+                onCacheMiss: record,
+                onStore: record
+            }
+        };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('{"a":1}', { status: 200, headers: { 'content-type': 'application/json' } }));
+        });
+
+        offlineFetch(url, options).then(function() {
+
+            // the response is stored in the background
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            return offlineFetch(url, options);
+        })
+        .then(function() {
+            var summary = events.map(function(event) {
+                return event.type + ':' + event.reason;
+            });
+
+            expect(summary).toEqual(['cacheMiss:not-cached', 'store:new', 'cacheHit:fresh']);
+            expect(events[0].url).toEqual(url);
+            expect(events[0].cacheKey).toEqual('offline-fetch-GET|' + url + '/');
+            expect(events[0].attempt).toEqual(0);
+            expect(events[1].attempt).toEqual(1);
+            expect(typeof events[2].duration).toEqual('number');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should emit retry events to offlineFetch.on listeners until removed', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var listener = jasmine.createSpy('listener');
+        var calls = 0;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            calls++;
+            return Promise.resolve(new Response('', { status: (calls === 1) ? 503 : 200 }));
+        });
+
+        var remove = offlineFetch.on('retry', listener);
+
+        offlineFetch(url, { offline: { retries: 1, retryDelay: 1 } }).then(function() {
+
+            expect(listener.calls.count()).toEqual(1);
+            expect(listener.calls.argsFor(0)[0].reason).toEqual('status');
+            expect(listener.calls.argsFor(0)[0].status).toEqual(503);
+            expect(listener.calls.argsFor(0)[0].attempt).toEqual(1);
+            expect(listener.calls.argsFor(0)[0].delay).toEqual(1);
+
+            remove();
+            calls = 0;
+
+            return offlineFetch(url, { offline: { retries: 1, retryDelay: 1 } });
+        })
+        .then(function() {
+            expect(listener.calls.count()).toEqual(1);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should send events to the logger and not break when a hook throws', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var logger = { log: jasmine.createSpy('log') };
+
+        sessionStorage.setItem('offline-fetch-test', JSON.stringify({
+            status: 200,
+            content: 'cached',
+            contentType: 'text/plain',
+            storedAt: Date.now() - 1000
+        }));
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return new Promise(function() {});
+        });
+
+        var options = {
+            offline: {
+                timeout: 10,
+                expires: 1,
+                logger: logger,
+                cacheKeyGenerator: function() {
+                    return 'offline-fetch-test';
+                },
+                onTimeout: function() {
+                    throw new Error('telemetry down');
+                }
+            }
+        };
+
+        offlineFetch(url, options).then(function(res) {
+
+            var types = logger.log.calls.allArgs().filter(function(args) {
+                return args[1];
+            })
+            .map(function(args) {
+                return args[1].type;
+            });
+
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(types).toEqual(['cacheMiss', 'timeout', 'fallback']);
+            expect(logger.log).toHaveBeenCalledWith('offlineFetch[fallback] (timeout): ' + url, jasmine.objectContaining({ reason: 'timeout' }));
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should create instances that use their own storage object, fetch and defaults', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var storage = helpers.storageMock();
+        var customFetch = jasmine.createSpy('fetch').and.callFake(function() {
+            return Promise.resolve(new Response('{"a":1}', { status: 200, headers: { 'content-type': 'application/json' } }));
+        });
+
+        spyOn(global, 'fetch');
+
+        var apiFetch = offlineFetch.create({ storage: storage, fetch: customFetch, expires: 60000 });
+
+        apiFetch(url).then(function(res) {
+
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            expect(customFetch).toHaveBeenCalled();
+            expect(global.fetch).not.toHaveBeenCalled();
+
+            // the response is stored in the background
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            expect(sessionStorage.setItem).not.toHaveBeenCalled();
+            return apiFetch(url);
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(customFetch.calls.count()).toEqual(1);
+
+            // per call options are merged with the defaults
+            return apiFetch(url, { offline: { renew: true } });
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            expect(customFetch.calls.count()).toEqual(2);
+            return apiFetch.cache.keys();
+        })
+        .then(function(keys) {
+            expect(keys).toEqual(['offline-fetch-GET|' + url + '/']);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should keep the caches of instances isolated', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var reply = function(body) {
+            return function() {
+                return Promise.resolve(new Response(body, { status: 200, headers: { 'content-type': 'text/plain' } }));
+            };
+        };
+
+        var first = offlineFetch.create({ storage: helpers.storageMock(), fetch: reply('first'), expires: 60000 });
+        var second = first.create({ storage: helpers.storageMock(), fetch: reply('second') });
+
+        Promise.all([first(url), second(url)]).then(function() {
+
+            // the responses are stored in the background
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            return Promise.all([first.cache.get(url), second.cache.get(url)]);
+        })
+        .then(function(responses) {
+            return Promise.all(responses.map(function(res) {
+                return res.text();
+            }));
+        })
+        .then(function(bodies) {
+            expect(bodies).toEqual(['first', 'second']);
+            return first.cache.clear();
+        })
+        .then(function() {
+            return second.cache.keys();
+        })
+        .then(function(keys) {
+            expect(keys.length).toEqual(1);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should replay queued requests of an instance with its own fetch', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var storage = helpers.storageMock();
+        var online = false;
+        var customFetch = jasmine.createSpy('fetch').and.callFake(function() {
+            return (online) ? Promise.resolve(new Response('', { status: 201 })) : Promise.reject(new TypeError('Failed to fetch'));
+        });
+
+        var apiFetch = offlineFetch.create({ storage: storage, fetch: customFetch, queue: true });
+
+        apiFetch(url, { method: 'POST', body: '{}' }).then(function(res) {
+
+            expect(res.status).toEqual(202);
+
+            online = true;
+
+            return apiFetch.flush();
+        })
+        .then(function(result) {
+            expect(result).toEqual({ sent: 1, failed: 0, pending: 0 });
+            expect(customFetch.calls.count()).toEqual(2);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should share a single network request between identical concurrent requests', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var calls = 0;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+
+            calls++;
+
+            // the first attempt fails, so the shared request is retried once
+            var status = (calls === 1) ? 503 : 200;
+
+            return Promise.resolve(new Response('shared', { status: status, headers: { 'content-type': 'text/plain' } }));
+        });
+
+        var options = { offline: { retries: 1, retryDelay: 1 } };
+
+        Promise.all([offlineFetch(url, options), offlineFetch(url, options), offlineFetch(url, options)]).then(function(responses) {
+
+            expect(global.fetch.calls.count()).toEqual(2);
+
+            return Promise.all(responses.map(function(res) {
+                return res.text();
+            }));
+        })
+        .then(function(bodies) {
+            expect(bodies).toEqual(['shared', 'shared', 'shared']);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should reject every request sharing a failed network request', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var failures = 0;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.reject(new Error('boom'));
+        });
+
+        var request = function() {
+            return offlineFetch(url, { offline: true }).catch(function(error) {
+                expect(error.message).toEqual('boom');
+                failures++;
+            });
+        };
+
+        Promise.all([request(), request()]).then(function() {
+            expect(failures).toEqual(2);
+            expect(global.fetch.calls.count()).toEqual(1);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should not share network requests sent with different headers', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function(fetchUrl, opts) {
+            var language = opts.headers['Accept-Language'];
+            return Promise.resolve(new Response(language, { status: 200, headers: { 'content-type': 'text/plain', vary: 'Accept-Language' } }));
+        });
+
+        var request = function(language) {
+            return offlineFetch(url, { headers: { 'Accept-Language': language }, offline: true }).then(function(res) {
+                return res.text();
+            });
+        };
+
+        Promise.all([request('en'), request('fr')]).then(function(bodies) {
+            expect(global.fetch.calls.count()).toEqual(2);
+            expect(bodies).toEqual(['en', 'fr']);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should not share network requests between requests that store the response differently', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('ok', { status: 200, headers: { 'content-type': 'text/plain' } }));
+        });
+
+        Promise.all([
+            offlineFetch(url, { offline: { strategy: 'network-only' } }),
+            offlineFetch(url, { offline: { strategy: 'cache-first', waitForStore: true } })
+        ])
+        .then(function() {
+            expect(global.fetch.calls.count()).toEqual(2);
+            expect(sessionStorage.getItem('offline-fetch-GET|' + url + '/')).not.toBeNull();
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should not share network requests when coalesce is false', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('ok', { status: 200, headers: { 'content-type': 'text/plain' } }));
+        });
+
+        var options = { offline: { coalesce: false } };
+
+        Promise.all([offlineFetch(url, options), offlineFetch(url, options)]).then(function() {
+            expect(global.fetch.calls.count()).toEqual(2);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should go straight to cache once the monitor has seen consecutive network failures', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var listener = jasmine.createSpy('listener');
+        var stop = offlineFetch.monitor({ failureThreshold: 2 });
+        var remove = offlineFetch.on('connectivity', listener);
+        var cleanup = function() {
+            remove();
+            stop();
+        };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.reject(new TypeError('Failed to fetch'));
+        });
+
+        var fail = function() {
+            return offlineFetch(`http://www.${cuid.slug()}.com`, { offline: true }).then(function() {
+                throw new Error('should have failed');
+            }, function() {});
+        };
+
+        sessionStorage.setItem('offline-fetch-test', JSON.stringify({
+            status: 200,
+            content: 'cached',
+            contentType: 'text/plain',
+            storedAt: Date.now()
+        }));
+
+        fail().then(fail).then(function() {
+
+            expect(offlineFetch.isOnline()).toEqual(false);
+            expect(listener).toHaveBeenCalledWith(jasmine.objectContaining({ type: 'connectivity', online: false, reason: 'network-failures' }));
+
+            global.fetch.calls.reset();
+
+            return offlineFetch(url, {
+                offline: {
+                    cacheKeyGenerator: function() {
+                        return 'offline-fetch-test';
+                    }
+                }
+            });
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(global.fetch).not.toHaveBeenCalled();
+
+            cleanup();
+
+            expect(offlineFetch.isOnline()).toEqual(true);
+            done();
+        })
+        .catch(function(error) {
+            cleanup();
+            done.fail(error);
+        });
+    });
+
+    it('should decide connectivity using the probe url', function(done) {
+
+        var status = 503;
+        var probe = jasmine.createSpy('probe').and.callFake(function() {
+            return Promise.resolve(new Response(null, { status: status }));
+        });
+        var stop = null;
+
+        var remove = offlineFetch.on('connectivity', function(event) {
+
+            if (!event.online) {
+                expect(event.reason).toEqual('probe');
+                expect(offlineFetch.isOnline()).toEqual(false);
+                expect(probe).toHaveBeenCalledWith('http://www.probe.com/ping', jasmine.objectContaining({ method: 'HEAD' }));
+                status = 204;
+                return;
+            }
+
+            expect(event.reason).toEqual('probe');
+            expect(offlineFetch.isOnline()).toEqual(true);
+            remove();
+            stop();
+            done();
+        });
+
+        stop = offlineFetch.monitor({ probeUrl: 'http://www.probe.com/ping', probeInterval: 10, fetch: probe });
+    });
+
+    it('should encrypt cached responses at rest and decrypt them when served', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var options = { offline: { expires: 60000, encryption: 'top secret' } };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('{"balance":100}', { status: 200, headers: { 'content-type': 'application/json' } }));
+        });
+
+        offlineFetch(url, options).then(function() {
+
+            // the response is stored in the background
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+
+            var stored = sessionStorage.getItem('offline-fetch-GET|' + url + '/');
+
+            expect(JSON.parse(stored).encrypted).toEqual('AES-GCM');
+            expect(stored).not.toContain('balance');
+            expect(stored).not.toContain(url);
+
+            return offlineFetch(url, options);
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(global.fetch.calls.count()).toEqual(1);
+            return res.json();
+        })
+        .then(function(data) {
+            expect(data).toEqual({ balance: 100 });
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should treat entries encrypted with a rotated key as misses and remove them', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var key = new Uint8Array(32);
+        var onCacheMiss = jasmine.createSpy('onCacheMiss');
+        var options = {
+            offline: {
+                expires: 60000,
+                onCacheMiss: onCacheMiss,
+                encryption: function() {
+                    return key;
+                }
+            }
+        };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('fresh', { status: 200, headers: { 'content-type': 'text/plain' } }));
+        });
+
+        offlineFetch(url, options).then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+
+            // rotate the key
+            key = new Uint8Array(32).fill(1);
+
+            return offlineFetch.cache.get(url, options);
+        })
+        .then(function(res) {
+            expect(res).toBeNull();
+            return offlineFetch(url, options);
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            expect(onCacheMiss.calls.mostRecent().args[0].reason).toEqual('unreadable');
+            expect(global.fetch.calls.count()).toEqual(2);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should not serve unencrypted entries when encryption is enabled', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        sessionStorage.setItem('offline-fetch-test', JSON.stringify({
+            status: 200,
+            content: 'plain',
+            contentType: 'text/plain',
+            storedAt: Date.now()
+        }));
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('fresh', { status: 200, headers: { 'content-type': 'text/plain' } }));
+        });
+
+        offlineFetch(url, {
+            offline: {
+                expires: 60000,
+                encryption: 'top secret',
+                cacheKeyGenerator: function() {
+                    return 'offline-fetch-test';
+                }
+            }
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            return res.text();
+        })
+        .then(function(text) {
+            expect(text).toEqual('fresh');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should compress stored content above the compression threshold and read it back', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var body = JSON.stringify({ items: new Array(500).fill('repeated content') });
+        var options = { offline: { expires: 60000, compression: { threshold: 100 } } };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response(body, { status: 200, headers: { 'content-type': 'application/json' } }));
+        });
+
+        offlineFetch(url, options).then(function() {
+
+            // the response is stored in the background
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+
+            var stored = sessionStorage.getItem('offline-fetch-GET|' + url + '/');
+            var storedItem = JSON.parse(stored);
+
+            expect(storedItem.compression).toEqual('gzip');
+            expect(stored.length).toBeLessThan(body.length);
+
+            return offlineFetch(url, options);
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            return res.text();
+        })
+        .then(function(text) {
+            expect(text).toEqual(body);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should not compress content below the compression threshold', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('small', { status: 200, headers: { 'content-type': 'text/plain' } }));
+        });
+
+        offlineFetch(url, { offline: { compression: true } }).then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+
+            var storedItem = JSON.parse(sessionStorage.getItem('offline-fetch-GET|' + url + '/'));
+
+            expect(storedItem.compression).toBeUndefined();
+            expect(storedItem.content).toEqual('small');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should invalidate and remove entries cached with a previous cacheVersion of the namespace', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('ok', { status: 200, headers: { 'content-type': 'text/plain' } }));
+        });
+
+        sessionStorage.setItem('app-data', 'untouched');
+        sessionStorage.setItem('offline-fetch-other@1/GET|' + url + '/', JSON.stringify({ status: 200, content: 'other', storedAt: Date.now() }));
+
+        offlineFetch(url, { offline: { expires: 60000, namespace: 'app', cacheVersion: 1 } }).then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            expect(sessionStorage.getItem('offline-fetch-app@1/GET|' + url + '/')).not.toBeNull();
+            return offlineFetch(url, { offline: { expires: 60000, namespace: 'app', cacheVersion: 2 } });
+        })
+        .then(function(res) {
+
+            // a new version never reads entries cached by the previous one
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            expect(sessionStorage.getItem('offline-fetch-app@1/GET|' + url + '/')).toBeNull();
+            expect(sessionStorage.getItem('offline-fetch-app@2/GET|' + url + '/')).not.toBeNull();
+            expect(sessionStorage.getItem('offline-fetch-other@1/GET|' + url + '/')).not.toBeNull();
+            expect(sessionStorage.getItem('app-data')).toEqual('untouched');
+            return offlineFetch.cache.keys({ namespace: 'app', cacheVersion: 2 });
+        })
+        .then(function(keys) {
+            expect(keys).toEqual(['offline-fetch-app@2/GET|' + url + '/']);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should migrate records written before the schema version and ignore newer ones', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('fresh', { status: 200, headers: { 'content-type': 'text/plain' } }));
+        });
+
+        sessionStorage.setItem('offline-fetch-GET|' + url + '/legacy', JSON.stringify({
+            url: url,
+            status: 200,
+            statusText: 'OK',
+            contentType: 'text/html',
+            content: '<p>legacy</p>',
+            storedAt: Date.now()
+        }));
+
+        sessionStorage.setItem('offline-fetch-GET|' + url + '/future', JSON.stringify({
+            schema: 99,
+            status: 200,
+            content: 'future',
+            storedAt: Date.now()
+        }));
+
+        offlineFetch(url + '/legacy', { offline: { expires: 60000 } }).then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(res.headers.get('content-type')).toEqual('text/html');
+            return offlineFetch(url + '/future', { offline: { expires: 60000 } });
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should precache a list of requests with bounded concurrency and report progress', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var active = 0;
+        var maxActive = 0;
+        var progress = [];
+
+        spyOn(global, 'fetch').and.callFake(function(requestUrl) {
+
+            active++;
+            maxActive = Math.max(active, maxActive);
+
+            return new Promise(function(resolve) {
+                setTimeout(function() {
+                    active--;
+                    resolve(new Response('ok', { status: (requestUrl.indexOf('missing') > -1) ? 404 : 200 }));
+                }, 5);
+            });
+        });
+
+        offlineFetch.precache([url + '/a', url + '/b', { url: url + '/c', options: {} }, url + '/missing'], {
+            concurrency: 2,
+            offline: { expires: 60000 },
+            onProgress: function(event) {
+                progress.push(event);
+            }
+        })
+        .then(function(summary) {
+            expect(global.fetch.calls.count()).toEqual(4);
+            expect(maxActive).toEqual(2);
+            expect(summary.total).toEqual(4);
+            expect(summary.done).toEqual(3);
+            expect(summary.failed).toEqual(1);
+            expect(summary.cancelled).toEqual(false);
+            expect(summary.errors[0].url).toEqual(url + '/missing');
+            expect(progress.length).toEqual(4);
+            expect(progress[3].done + progress[3].failed).toEqual(4);
+
+            // entries are stored before precache resolves
+            expect(sessionStorage.getItem('offline-fetch-GET|' + url + '/a')).not.toBeNull();
+            expect(sessionStorage.getItem('offline-fetch-GET|' + url + '/c')).not.toBeNull();
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should skip precached requests that are still fresh unless renew is set', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('ok', { status: 200 }));
+        });
+
+        offlineFetch.precache({ urls: [url + '/a', url + '/b'] }, { offline: { expires: 60000 } }).then(function(summary) {
+            expect(summary.done).toEqual(2);
+            return offlineFetch.precache({ urls: [url + '/a', url + '/b'] }, { offline: { expires: 60000 } });
+        })
+        .then(function(summary) {
+            expect(global.fetch.calls.count()).toEqual(2);
+            expect(summary.skipped).toEqual(2);
+            expect(summary.done).toEqual(0);
+            return offlineFetch.precache([url + '/a'], { renew: true, offline: { expires: 60000 } });
+        })
+        .then(function(summary) {
+            expect(global.fetch.calls.count()).toEqual(3);
+            expect(summary.done).toEqual(1);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should report precached requests served from the cache while offline as failed', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('ok', { status: 200 }));
+        });
+
+        offlineFetch.precache([url + '/a'], { offline: { expires: 1 } }).then(function(summary) {
+            expect(summary.done).toEqual(1);
+
+            global.navigator.onLine = false;
+
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 5);
+            });
+        })
+        .then(function() {
+            return offlineFetch.precache([url + '/a'], { offline: { expires: 1 } });
+        })
+        .then(function(summary) {
+            expect(global.fetch.calls.count()).toEqual(1);
+            expect(summary.done).toEqual(0);
+            expect(summary.skipped).toEqual(0);
+            expect(summary.failed).toEqual(1);
+            expect(summary.errors[0].error.message).toEqual('Served from cache (offline), not refreshed');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should stop precaching when cancelled part-way', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var controller = new AbortController();
+
+        spyOn(global, 'fetch').and.callFake(function(requestUrl, options) {
+            return new Promise(function(resolve, reject) {
+
+                var timer = setTimeout(function() {
+                    resolve(new Response('ok', { status: 200 }));
+                }, (requestUrl.indexOf('slow') > -1) ? 1000 : 5);
+
+                options.signal.addEventListener('abort', function() {
+                    clearTimeout(timer);
+                    reject(new DOMException('The operation was aborted.', 'AbortError'));
+                });
+            });
+        });
+
+        offlineFetch.precache([url + '/a', url + '/slow', url + '/c', url + '/d'], {
+            concurrency: 1,
+            signal: controller.signal,
+            offline: { expires: 60000 },
+            onProgress: function(event) {
+                if (event.done === 1) controller.abort();
+            }
+        })
+        .then(function(summary) {
+            expect(summary.cancelled).toEqual(true);
+            expect(summary.done).toEqual(1);
+            expect(summary.failed).toEqual(0);
+            expect(global.fetch.calls.count()).toEqual(1);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should record network requests made while recording into a HAR', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var recorder = offlineFetch.har.record();
+
+        spyOn(global, 'fetch').and.callFake(function(requestUrl) {
+
+            if (requestUrl.indexOf('image') > -1) {
+                return Promise.resolve(new Response(new Uint8Array([0, 1, 255]), { status: 200, headers: { 'content-type': 'image/png' } }));
+            }
+
+            return Promise.resolve(new Response('{"ok":true}', { status: 200, headers: { 'content-type': 'application/json', etag: '"v1"' } }));
+        });
+
+        Promise.all([
+            offlineFetch(url + '/data', { headers: { accept: 'application/json' }, offline: true }),
+            offlineFetch(url + '/image', { offline: true })
+        ])
+        .then(function() {
+            return recorder.stop();
+        })
+        .then(function(har) {
+
+            expect(har.log.version).toEqual('1.2');
+            expect(har.log.creator.name).toEqual('offline-fetch');
+            expect(har.log.entries.length).toEqual(2);
+
+            var data = har.log.entries.filter(function(entry) {
+                return entry.request.url === url + '/data';
+            })[0];
+
+            var image = har.log.entries.filter(function(entry) {
+                return entry.request.url === url + '/image';
+            })[0];
+
+            expect(data.request.method).toEqual('GET');
+            expect(data.request.headers).toEqual([{ name: 'accept', value: 'application/json' }]);
+            expect(data.response.status).toEqual(200);
+            expect(data.response.content).toEqual({ size: 11, mimeType: 'application/json', text: '{"ok":true}' });
+            expect(data.response.headers).toContain({ name: 'etag', value: '"v1"' });
+            expect(image.response.content.encoding).toEqual('base64');
+            expect(image.response.content.text).toEqual('AAH/');
+
+            // requests made after stopping are not recorded
+            return offlineFetch(url + '/later', { offline: true }).then(function() {
+                return recorder.stop();
+            });
+        })
+        .then(function(har) {
+            expect(har.log.entries.length).toEqual(2);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should leave responses it can not read out of the HAR without failing the request', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var recorder = offlineFetch.har.record();
+
+        // a response without text or arrayBuffer, as returned by older fetch polyfills
+        var res = {
+            status: 200,
+            statusText: 'OK',
+            headers: new Headers({ 'content-type': 'text/plain' }),
+            clone: function() {
+                return res;
+            }
+        };
+
+        spyOn(global, 'fetch').and.returnValue(Promise.resolve(res));
+
+        offlineFetch(url, { offline: true }).then(function(result) {
+            expect(result.status).toEqual(200);
+            return recorder.stop();
+        })
+        .then(function(har) {
+            expect(har.log.entries.length).toEqual(0);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should export cached responses as a HAR and seed another cache from it', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('<p>cached</p>', { status: 200, headers: { 'content-type': 'text/html' } }));
+        });
+
+        offlineFetch(url, { offline: { namespace: 'export', waitForStore: true } }).then(function() {
+            return offlineFetch.har.export({ namespace: 'export' });
+        })
+        .then(function(har) {
+
+            expect(har.log.entries.length).toEqual(1);
+            expect(har.log.entries[0].request.url).toEqual(url);
+            expect(har.log.entries[0].response.content.text).toEqual('<p>cached</p>');
+
+            // seed a different namespace from the JSON snapshot, skipping failed responses
+            har.log.entries.push({ request: { method: 'GET', url: url + '/missing' }, response: { status: 404, content: { text: 'nope' } } });
+
+            return offlineFetch.har.import(JSON.stringify(har), { namespace: 'import' });
+        })
+        .then(function(count) {
+            expect(count).toEqual(1);
+            expect(sessionStorage.getItem('offline-fetch-import/GET|' + url + '/missing')).toBeNull();
+            return offlineFetch(url, { offline: { namespace: 'import', expires: 60000 } });
+        })
+        .then(function(res) {
+            expect(global.fetch.calls.count()).toEqual(1);
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(res.headers.get('content-type')).toEqual('text/html');
+            return res.text();
+        })
+        .then(function(text) {
+            expect(text).toEqual('<p>cached</p>');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should answer purely from a HAR in replay mode and reject unmatched requests', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        var har = {
+            log: {
+                entries: [
+                    {
+                        request: { method: 'GET', url: url + '/list?b=2&a=1' },
+                        response: { status: 200, headers: [{ name: 'Content-Type', value: 'application/json' }], content: { mimeType: 'application/json', text: '[1,2]' } }
+                    },
+                    { request: { method: 'POST', url: url + '/save', postData: { text: '{"id":1}' } }, response: { status: 201, content: { text: 'one' } } },
+                    { request: { method: 'POST', url: url + '/save', postData: { text: '{"id":2}' } }, response: { status: 201, content: { text: 'two' } } }
+                ]
+            }
+        };
+
+        spyOn(global, 'fetch');
+
+        offlineFetch(url + '/list?a=1&b=2', { offline: { replay: har } }).then(function(res) {
+            expect(res.status).toEqual(200);
+            expect(res.headers.get('x-offline-cache')).toEqual('REPLAY');
+            return res.json();
+        })
+        .then(function(data) {
+            expect(data).toEqual([1, 2]);
+            return offlineFetch(url + '/save', { method: 'POST', body: '{"id":2}', offline: { replay: har } });
+        })
+        .then(function(res) {
+            return res.text();
+        })
+        .then(function(text) {
+            expect(text).toEqual('two');
+            return offlineFetch(url + '/unknown', { offline: { replay: JSON.stringify(har) } });
+        })
+        .then(function() {
+            done.fail('unmatched request should reject');
+        })
+        .catch(function(error) {
+            expect(error.message).toEqual('No recorded response for GET ' + url + '/unknown');
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(sessionStorage.setItem).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it('should announce cache writes and removals to subscribers in this and other tabs', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var cacheKey = 'offline-fetch-GET|' + url + '/';
+        var otherTab = new BroadcastChannel('offline-fetch');
+        var received = [];
+        var events = [];
+
+        otherTab.onmessage = function(event) {
+            received.push(event.data);
+        };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('data', { status: 200 }));
+        });
+
+        var unsubscribe = offlineFetch.subscribe(url, function(event) {
+            events.push(event);
+        });
+
+        offlineFetch(url, { offline: { crossTab: true } }).then(function() {
+
+            // the refresh lock is released once the response is stored, and is never listed as a cache entry
+            expect(sessionStorage.getItem('offline-fetch-lock|' + cacheKey)).toBeNull();
+            expect(events).toEqual([{ type: 'update', url: url, cacheKey: cacheKey, remote: false }]);
+
+            return offlineFetch.cache.delete(url);
+        })
+        .then(function() {
+
+            expect(events[1]).toEqual({ type: 'delete', url: null, cacheKey: cacheKey, remote: false });
+
+            // another tab refreshed the response
+            otherTab.postMessage({ type: 'update', key: cacheKey, url: url, tabId: 'other-tab' });
+
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+
+            expect(received.map(function(message) {
+                return message.type;
+            })).toEqual(['update', 'unlock', 'delete']);
+            expect(received[0].key).toEqual(cacheKey);
+            expect(events[2]).toEqual({ type: 'update', url: url, cacheKey: cacheKey, remote: true });
+
+            unsubscribe();
+            otherTab.postMessage({ type: 'delete', key: cacheKey, tabId: 'other-tab' });
+
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            expect(events.length).toEqual(3);
+            otherTab.close();
+            done();
+        })
+        .catch(function(error) {
+            otherTab.close();
+            done.fail(error);
+        });
+    });
+
+    it('should wait for the tab holding the refresh lock and use the response it stores', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var cacheKey = 'offline-fetch-GET|' + url + '/';
+        var otherTab = new BroadcastChannel('offline-fetch');
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('from this tab', { status: 200 }));
+        });
+
+        sessionStorage.setItem(cacheKey, JSON.stringify({ url: url, status: 200, contentType: 'text/plain', content: 'old', storedAt: Date.now() - 5000 }));
+        sessionStorage.setItem('offline-fetch-lock|' + cacheKey, JSON.stringify({ owner: 'other-tab', expiresAt: Date.now() + 5000 }));
+
+        var hits = [];
+        var onCacheHit = function(event) {
+            hits.push(event.reason);
+        };
+
+        offlineFetch(url, { offline: { crossTab: true, expires: 1000, onCacheHit: onCacheHit } }).then(function(res) {
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(hits).toEqual(['refreshed']);
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            return res.text();
+        })
+        .then(function(text) {
+            expect(text).toEqual('new');
+            otherTab.close();
+            done();
+        })
+        .catch(function(error) {
+            otherTab.close();
+            done.fail(error);
+        });
+
+        // the other tab stores the refreshed response and tells everyone
+        setTimeout(function() {
+            sessionStorage.setItem(cacheKey, JSON.stringify({ url: url, status: 200, contentType: 'text/plain', content: 'new', storedAt: Date.now() }));
+            otherTab.postMessage({ type: 'update', key: cacheKey, url: url, tabId: 'other-tab' });
+        }, 10);
+    });
+
+    it('should stop waiting for the tab holding the refresh lock after lockTimeout', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var cacheKey = 'offline-fetch-GET|' + url + '/';
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('from this tab', { status: 200 }));
+        });
+
+        sessionStorage.setItem('offline-fetch-lock|' + cacheKey, JSON.stringify({ owner: 'other-tab', expiresAt: Date.now() + 5000 }));
+
+        offlineFetch(url, { offline: { crossTab: { lockTimeout: 20 } } }).then(function(res) {
+            expect(global.fetch.calls.count()).toEqual(1);
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should apply the policy of the first matching route, letting request options override it', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var removeRoutes = [
+            offlineFetch.route('/api/config/*', { expires: 60000 }),
+            offlineFetch.route('/api/*', { strategy: 'network-only' })
+        ];
+
+        var cleanup = function() {
+            removeRoutes.forEach(function(remove) {
+                remove();
+            });
+        };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('ok', { status: 200 }));
+        });
+
+        // no offline option needed, the route enables it
+        offlineFetch(url + '/api/config/app?v=1').then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            return offlineFetch(url + '/api/config/app?v=1');
+        })
+        .then(function(res) {
+            expect(global.fetch.calls.count()).toEqual(1);
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+
+            // request options take precedence over the route
+            return offlineFetch(url + '/api/config/app?v=1', { offline: { renew: true } });
+        })
+        .then(function(res) {
+            expect(global.fetch.calls.count()).toEqual(2);
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            return offlineFetch(url + '/api/prices/today');
+        })
+        .then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            expect(global.fetch.calls.count()).toEqual(3);
+            expect(sessionStorage.getItem('offline-fetch-GET|' + url + '/api/prices/today')).toBeNull();
+            cleanup();
+            done();
+        })
+        .catch(function(error) {
+            cleanup();
+            done.fail(error);
+        });
+    });
+
+    it('should match routes by method and regular expression, and skip offline support for false policies', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var timeouts = [];
+        var removeRoutes = [
+            offlineFetch.route(/\/auth\//, false),
+            offlineFetch.route('*', { method: 'get', timeout: 1234 })
+        ];
+
+        var cleanup = function() {
+            removeRoutes.forEach(function(remove) {
+                remove();
+            });
+        };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('ok', { status: 200 }));
+        });
+
+        spyOn(global, 'setTimeout').and.callFake(function(callback, ms) {
+            timeouts.push(ms);
+            return setTimeout.and.originalFn(callback, ms);
+        });
+
+        offlineFetch(url + '/auth/login').then(function(res) {
+
+            // plain fetch, offline-fetch did not touch the response
+            expect(res.headers.get('x-offline-cache')).toBeNull();
+            return offlineFetch(url + '/save', { method: 'POST', body: '{}' });
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toBeNull();
+            return offlineFetch(url + '/list');
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            expect(timeouts).toContain(1234);
+            cleanup();
+            done();
+        })
+        .catch(function(error) {
+            cleanup();
+            done.fail(error);
+        });
+    });
+
+    it('should report cache hits, misses, stores and latency in total and by prefix and route', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var removeRoute = offlineFetch.route('/reports/*', { expires: 60000 });
+
+        offlineFetch.resetStats();
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('report', { status: 200 }));
+        });
+
+        offlineFetch(url + '/reports/1', { offline: { waitForStore: true } }).then(function() {
+            return offlineFetch(url + '/reports/1');
+        })
+        .then(function() {
+            return offlineFetch(url + '/users', { offline: { namespace: 'app', waitForStore: true } });
+        })
+        .then(function() {
+            return offlineFetch.stats();
+        })
+        .then(function(stats) {
+
+            removeRoute();
+
+            expect(stats.hits).toEqual(1);
+            expect(stats.misses).toEqual(2);
+            expect(stats.stores).toEqual(2);
+            expect(stats.networkRequests).toEqual(2);
+            expect(stats.networkLatency).toEqual(jasmine.any(Number));
+            expect(stats.cacheLatency).toEqual(jasmine.any(Number));
+            expect(stats.since).toBeLessThan(Date.now() + 1);
+
+            expect(stats.byRoute['/reports/*'].hits).toEqual(1);
+            expect(stats.byRoute['/reports/*'].misses).toEqual(1);
+            expect(stats.byPrefix['offline-fetch-app@/'].misses).toEqual(1);
+            expect(stats.byPrefix['offline-fetch-app@/'].hits).toEqual(0);
+
+            expect(stats.storage.sessionStorage.entries).toEqual(2);
+            expect(stats.storage.sessionStorage.bytes).toBeGreaterThan(0);
+
+            offlineFetch.resetStats();
+
+            return offlineFetch.stats();
+        })
+        .then(function(stats) {
+            expect(stats.hits).toEqual(0);
+            expect(stats.misses).toEqual(0);
+            expect(stats.byRoute).toEqual({});
+            done();
+        })
+        .catch(function(error) {
+            removeRoute();
+            done.fail(error);
+        });
+    });
+
+    it('should count stale responses served because of being offline, timeouts and network errors', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var errors = ['Promise Timed Out', 'Failed to fetch'];
+
+        offlineFetch.resetStats();
+
+        sessionStorage.setItem('offline-fetch-test', JSON.stringify({ url: url, status: 200, content: 'stale', storedAt: Date.now() - 60000 }));
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.reject(new Error(errors.shift()));
+        });
+
+        var options = {
+            offline: {
+                expires: 1000,
+                cacheKeyGenerator: function() {
+                    return 'offline-fetch-test';
+                }
+            }
+        };
+
+        offlineFetch(url, options).then(function() {
+            return offlineFetch(url, options);
+        })
+        .then(function() {
+            global.navigator.onLine = false;
+            return offlineFetch(url, options);
+        })
+        .then(function() {
+            return offlineFetch.stats();
+        })
+        .then(function(stats) {
+            expect(stats.staleTimeout).toEqual(1);
+            expect(stats.staleNetworkError).toEqual(1);
+            expect(stats.staleOffline).toEqual(1);
+            expect(stats.hits).toEqual(1);
+            expect(stats.misses).toEqual(2);
+            expect(stats.networkRequests).toEqual(0);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should never serve cached responses older than maxStale, rejecting with a clear error instead', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var storedAt = Date.now() - (2 * 60 * 60 * 1000);
+
+        sessionStorage.setItem('offline-fetch-test', JSON.stringify({ url: url, status: 200, content: 'old', storedAt: storedAt }));
+
+        spyOn(global, 'fetch').and.returnValue(Promise.reject(new Error('Failed to fetch')));
+
+        var options = function(maxStale) {
+            return {
+                offline: {
+                    maxStale: maxStale,
+                    cacheKeyGenerator: function() {
+                        return 'offline-fetch-test';
+                    }
+                }
+            };
+        };
+
+        global.navigator.onLine = false;
+
+        offlineFetch(url, options(60 * 60 * 1000)).then(function() {
+            done.fail('response older than maxStale should not be served');
+        })
+        .catch(function(error) {
+
+            expect(error.name).toEqual('StaleResponseError');
+            expect(error.message).toEqual('Cached response for ' + url + ' is older than maxStale (3600000ms)');
+            expect(error.cause.message).toEqual('Failed to fetch');
+
+            return offlineFetch(url, options(3 * 60 * 60 * 1000));
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            expect(res.headers.get('x-offline-reason')).toEqual('offline');
+            expect(parseInt(res.headers.get('age'), 10)).toBeGreaterThan(7199);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should add the reason a cached response was served and its age', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var errors = ['Promise Timed Out', 'Network request failed'];
+
+        sessionStorage.setItem('offline-fetch-test', JSON.stringify({ url: url, status: 200, content: 'cached', storedAt: Date.now() - 5000 }));
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.reject(new Error(errors.shift()));
+        });
+
+        var options = function(expires) {
+            return {
+                offline: {
+                    expires: expires,
+                    cacheKeyGenerator: function() {
+                        return 'offline-fetch-test';
+                    }
+                }
+            };
+        };
+
+        offlineFetch(url, options(60000)).then(function(res) {
+            expect(res.headers.get('x-offline-reason')).toEqual('fresh');
+            expect(res.headers.get('age')).toEqual('5');
+            return offlineFetch(url, options(1000));
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-reason')).toEqual('timeout');
+            return offlineFetch(url, options(1000));
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-reason')).toEqual('network-error');
+            expect(global.fetch.calls.count()).toEqual(2);
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should remove the cached copy of a no-store response without failing if the storage rejects', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var storage = helpers.promiseStorageMock();
+        var events = [];
+
+        storage.removeItem = function() {
+            return Promise.reject(new Error('remove failed'));
+        };
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response('secret', { status: 200, headers: { 'cache-control': 'no-store' } }));
+        });
+
+        var unsubscribe = offlineFetch.subscribe(url, function(event) {
+            events.push(event.type);
+        });
+
+        storage.setItem('offline-fetch-GET|' + url + '/', JSON.stringify({ url: url, status: 200, content: 'old', storedAt: Date.now() - 60000 }))
+        .then(function() {
+            return offlineFetch(url, { offline: { storage: storage, httpCache: true, expires: 1 } });
+        })
+        .then(function(res) {
+            expect(res.headers.get('x-offline-cache')).toEqual('MISS');
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+
+            // the removal failed, so nothing was announced
+            expect(events).toEqual([]);
+
+            storage.removeItem = function() {
+                return Promise.resolve();
+            };
+
+            return offlineFetch(url, { offline: { storage: storage, httpCache: true, expires: 1 } });
+        })
+        .then(function() {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            expect(events).toEqual(['delete']);
+            unsubscribe();
+            done();
+        })
+        .catch(function(error) {
+            unsubscribe();
+            done.fail(error);
+        });
+    });
+
+    it('should return the live response and report a store error when the body can not be read', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var storeErrors = [];
+        var onStoreError = function(event) {
+            storeErrors.push(event);
+        };
+
+        // a response without arrayBuffer, as returned by older fetch polyfills
+        var res = {
+            status: 200,
+            statusText: 'OK',
+            headers: new Headers(),
+            clone: function() {
+                return res;
+            }
+        };
+
+        spyOn(global, 'fetch').and.returnValue(Promise.resolve(res));
+
+        offlineFetch(url, { offline: { onStoreError: onStoreError } }).then(function(result) {
+            expect(result.status).toEqual(200);
+            return new Promise(function(resolve) {
+                setTimeout(resolve, 20);
+            });
+        })
+        .then(function() {
+            expect(storeErrors.length).toEqual(1);
+            expect(sessionStorage.setItem).not.toHaveBeenCalled();
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should serve cached responses whose status can not have a body', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        spyOn(global, 'fetch').and.callFake(function() {
+            return Promise.resolve(new Response(null, { status: 204 }));
+        });
+
+        offlineFetch(url, { offline: { expires: 60000, waitForStore: true } }).then(function() {
+            return offlineFetch(url, { offline: { expires: 60000 } });
+        })
+        .then(function(res) {
+            expect(global.fetch.calls.count()).toEqual(1);
+            expect(res.status).toEqual(204);
+            expect(res.headers.get('x-offline-cache')).toEqual('HIT');
+            done();
+        })
+        .catch(done.fail);
+    });
 });
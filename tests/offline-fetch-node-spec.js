@@ -39,7 +39,7 @@ describe('offlineFetch (node)', function () {
     it('should save response to node sessionStorage by default', function(done) {
 
         var url = `http://www.${cuid.slug()}.com`;
-        var status = helpers.randomIntBetween(200, 299);
+        var status = helpers.randomSuccessStatus();
         var body = 'Great Barcode App!';
 
         // setup intercept
@@ -73,7 +73,7 @@ describe('offlineFetch (node)', function () {
 
         var now = (new Date()).getTime();
         var url = `http://www.${cuid.slug()}.com`;
-        var status = helpers.randomIntBetween(200, 299);
+        var status = helpers.randomSuccessStatus();
         var body = String(now * 100);
 
         // setup intercept
@@ -107,4 +107,60 @@ describe('offlineFetch (node)', function () {
             }, 10);
         });
     });
+
+    it('should persist queued requests to disk', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+
+        global.navigator.onLine = false;
+
+        offlineFetch(url, { method: 'POST', body: 'hello', offline: { storage: 'localStorage', queue: true } })
+        .then(function(res) {
+            expect(res.status).toEqual(202);
+
+            // a fresh instance reads the same files, as it would after a restart
+            var queue = JSON.parse(new LocalStorage('fetch-storage/local').getItem('offline-fetch-queue'));
+
+            expect(queue.length).toEqual(1);
+            expect(queue[0].url).toEqual(url);
+            expect(queue[0].body).toEqual('hello');
+            done();
+        })
+        .catch(done.fail);
+    });
+
+    it('should evict old entries and retry when the storage quota is exceeded', function(done) {
+
+        var url = `http://www.${cuid.slug()}.com`;
+        var quotaStorage = new LocalStorage('fetch-storage/quota', 600);
+
+        quotaStorage.clear();
+        quotaStorage.setItem('offline-fetch-old', JSON.stringify({ url: 'http://www.old.com', status: 200, content: 'x'.repeat(300), storedAt: 1 }));
+
+        global.quotaStorage = quotaStorage;
+
+        fetch(url, {
+            replyWith: {
+                status: 200,
+                body: 'y'.repeat(300),
+                headers: {
+                    'content-type': 'text/plain'
+                }
+            }
+        });
+
+        offlineFetch(url, { offline: { storage: 'quotaStorage' } }).then(function(res) {
+            return res.text();
+        })
+        .then(function() {
+            setTimeout(function() {
+                expect(quotaStorage.getItem('offline-fetch-old')).toBeNull();
+                expect(quotaStorage.length).toEqual(1);
+                quotaStorage.clear();
+                delete global.quotaStorage;
+                done();
+            }, 50);
+        })
+        .catch(done.fail);
+    });
 });